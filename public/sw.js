@@ -0,0 +1,99 @@
+/**
+ * VoxCribe service worker
+ *
+ * Serves the app shell offline. The built assets listed in the precache manifest are
+ * cached on install; page navigations go to the network first and fall back to the
+ * cached shell; static assets and third-party libraries (fonts, icons, the ONNX runtime)
+ * are served from the cache once fetched.
+ *
+ * Model weights are not handled here: transformers.js keeps them in its own
+ * 'transformers-cache' bucket, which is managed from the settings screen.
+ */
+
+const SHELL_CACHE = 'voxcribe-shell-v1'
+const RUNTIME_CACHE = 'voxcribe-runtime-v1'
+const CACHES = [SHELL_CACHE, RUNTIME_CACHE]
+
+// Third-party hosts whose responses never change for a given URL
+const CDN_HOSTS = [
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+    'cdn.jsdelivr.net'
+]
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE)
+        let assets = []
+        try {
+            const response = await fetch('/precache-manifest.json', { cache: 'no-store' })
+            assets = await response.json()
+        } catch (err) {
+            // Development builds have no manifest, only the page itself is cached
+        }
+        await cache.addAll(['/', ...assets])
+        await self.skipWaiting()
+    })())
+})
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys()
+        await Promise.all(keys
+            .filter(key => key.startsWith('voxcribe-') && !CACHES.includes(key))
+            .map(key => caches.delete(key)))
+        await self.clients.claim()
+    })())
+})
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event
+    if (request.method !== 'GET') { return }
+
+    const url = new URL(request.url)
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request))
+        return
+    }
+
+    if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request))
+    }
+})
+
+/**
+ * Tries the network and keeps the latest page, falling back to the cached shell offline
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE)
+    try {
+        const response = await fetch(request)
+        if (response.ok) {
+            cache.put('/', response.clone())
+        }
+        return response
+    } catch (err) {
+        return (await cache.match('/')) ?? Response.error()
+    }
+}
+
+/**
+ * Serves a cached response if there is one, otherwise fetches and caches it
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request)
+    if (cached) { return cached }
+
+    const response = await fetch(request)
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE)
+        cache.put(request, response.clone())
+    }
+    return response
+}
@@ -4,7 +4,17 @@ import Header from './components/Header'
 import FileDisplay from './components/FileDisplay'
 import Information from './components/Information'
 import Transcribing from './components/Transcribing'
-import { MessageTypes } from './utils/presets'
+import ErrorMessage from './components/ErrorMessage'
+import LiveTranscription from './components/LiveTranscription'
+import Settings from './components/Settings'
+import Library from './components/Library'
+import BatchQueue from './components/BatchQueue'
+import { MessageTypes, DEFAULT_MODEL, WhisperTasks, ErrorCodes, ChannelModes, DEFAULT_DECODING_OPTIONS, DEFAULT_TRANSLATION_MODEL } from './utils/presets'
+import { serializeError } from './utils/errors'
+import { updateDownloads } from './utils/progress'
+import { saveTranscript, updateTranscript, getTranscript, getDefaultTitle } from './utils/db'
+import { readAudioFrom } from './utils/audio'
+import { useBatchQueue } from './utils/useBatchQueue'
 
 /**
  * App Component - Main application component for Voxcribe
@@ -41,6 +51,12 @@ function App() {
    */
   const [downloading, setDownloading] = useState(false)
 
+  /**
+   * State variable to store the progress of each model file being downloaded
+   * @type {Object<String, Object>}
+   */
+  const [downloads, setDownloads] = useState({})
+
   /**
    * State variable to track the loading status
    * @type {Boolean}
@@ -53,6 +69,114 @@ function App() {
    */
   const [finished, setFinished] = useState(false)
 
+  /**
+   * State variable to store the Whisper model chosen for transcription
+   * @type {String}
+   */
+  const [modelName, setModelName] = useState(DEFAULT_MODEL)
+
+  /**
+   * State variable to store the spoken language, null to auto-detect it
+   * @type {String|null}
+   */
+  const [language, setLanguage] = useState(null)
+
+  /**
+   * State variable to store the Whisper task, either transcribe or translate to English
+   * @type {String}
+   */
+  const [task, setTask] = useState(WhisperTasks.TRANSCRIBE)
+
+  /**
+   * State variable to store whether multi-channel audio is mixed down or each channel transcribed separately
+   * @type {String}
+   */
+  const [channelMode, setChannelMode] = useState(ChannelModes.MIX)
+
+  /**
+   * State variable to store how many speakers to tell apart in mono audio: null to skip, 0 to detect it
+   * @type {Number|null}
+   */
+  const [numSpeakers, setNumSpeakers] = useState(null)
+
+  /**
+   * State variable to store whether silent stretches are skipped before inference
+   * @type {Boolean}
+   */
+  const [skipSilence, setSkipSilence] = useState(false)
+
+  /**
+   * State variable to store whether segments get the timing of each word
+   * @type {Boolean}
+   */
+  const [wordTimestamps, setWordTimestamps] = useState(false)
+
+  /**
+   * State variable to store the beam count, temperature, chunk and stride length and initial prompt chosen in the advanced panel
+   * @type {{num_beams: Number, temperature: Number, chunk_length_s: Number, stride_length_s: Number, initial_prompt: String}}
+   */
+  const [decoding, setDecoding] = useState(DEFAULT_DECODING_OPTIONS)
+
+  /**
+   * State variable to store the model transcripts are translated with
+   * @type {String}
+   */
+  const [translationModel, setTranslationModel] = useState(DEFAULT_TRANSLATION_MODEL)
+
+  /**
+   * State variable to store the options the current output was produced with, as reported by the worker
+   * @type {Object|null}
+   */
+  const [outputSettings, setOutputSettings] = useState(null)
+
+  /**
+   * State variable to store the spoken language reported by the worker
+   * @type {String|null}
+   */
+  const [detectedLanguage, setDetectedLanguage] = useState(null)
+
+  /**
+   * State variable to store the error that stopped the current job
+   * @type {{code: String, message: String}|null}
+   */
+  const [error, setError] = useState(null)
+
+  /**
+   * State variable to store why the finished job could not be saved to the library
+   * @type {{code: String, message: String}|null}
+   */
+  const [saveError, setSaveError] = useState(null)
+
+  /**
+   * State variable to store the steps of the current job that failed without stopping it
+   * @type {Array<{code: String, message: String}>}
+   */
+  const [warnings, setWarnings] = useState([])
+
+  /**
+   * State variable to store the in-progress text of the chunk being decoded
+   * @type {{text: String, start: Number}|null}
+   */
+  const [partial, setPartial] = useState(null)
+
+  /**
+   * State variable to track whether a live microphone session is running
+   * @type {Boolean}
+   */
+  const [live, setLive] = useState(false)
+
+  /**
+   * State variable for the screen shown instead of the transcription flow ('batch', 'library', 'settings' or null)
+   * @type {string|null}
+   */
+  const [view, setView] = useState(null)
+
+  /**
+   * State variable to store the library record of the transcript being shown, once it is saved
+   * @type {Object|null}
+   */
+  const [record, setRecord] = useState(null)
+
   /**
    * Checks if audio is available (either file or stream)
    * @type {Boolean}
@@ -73,6 +197,18 @@ function App() {
    */
   const worker = useRef(null)
 
+  /**
+   * Id of the current transcription job, used to ignore messages from cancelled jobs
+   * @type {Number}
+   */
+  const jobId = useRef(0)
+
+  /**
+   * Whether the finished job is being written to the library
+   * @type {Boolean}
+   */
+  const saving = useRef(false)
+
   /**
    * Sets up and manages the Web Worker for audio transcription
    * Handles various message types from the worker including download status,
@@ -90,23 +226,40 @@ function App() {
      * @param {MessageEvent} e - The message event
      */
     const onMessageReceived = async (e) => {
+      if (e.data.job_id !== jobId.current) { return }
+
       switch (e.data.type) {
         case 'DOWNLOADING':
           setDownloading(true)
-          console.log('DOWNLOADING')
+          setDownloads(curr => updateDownloads(curr, e.data))
           break;
         case 'LOADING':
           setLoading(true)
           console.log('LOADING')
           break;
+        case 'RESULT_PARTIAL':
+          setPartial(e.data.result)
+          break;
         case 'RESULT':
+          setPartial(null)
           setOutput(e.data.results)
+          setDetectedLanguage(e.data.language)
           console.log(e.data.results)
           break;
         case 'INFERENCE_DONE':
+          setPartial(null)
+          setOutputSettings(e.data.settings ?? null)
           setFinished(true)
           console.log("DONE")
           break;
+        case 'ERROR':
+          setError(e.data.error)
+          setOutput(null)
+          setLoading(false)
+          break;
+        case 'WARNING':
+          setWarnings(curr => [...curr, e.data.warning])
+          break;
       }
     }
 
@@ -116,17 +269,116 @@ function App() {
   })
 
   /**
-   * Converts an audio file or stream to the required format for processing
-   * @param {File|Blob} file - The audio file or stream to process
-   * @returns {Float32Array} Processed audio data at 16kHz sampling rate
+   * Saves every finished job to the library, so it survives a refresh or starting a new one
+   */
+  useEffect(() => {
+    if (!finished || !output || record || saving.current || saveError) { return }
+
+    saving.current = true
+    saveTranscript({
+      title: getDefaultTitle(file?.name),
+      modelName,
+      task,
+      language: detectedLanguage,
+      audio: file || audioStream,
+      segments: output,
+      translations: {},
+      settings: outputSettings
+    })
+      .then(setRecord)
+      .catch(err => setSaveError(serializeError(err, ErrorCodes.STORAGE)))
+      .finally(() => { saving.current = false })
+  }, [finished, output, record, file, audioStream, modelName, task, detectedLanguage, outputSettings, saveError])
+
+  /**
+   * Applies changes to the saved transcript, showing a storage error if they cannot be written
+   * A record deleted from the library in the meantime stays deleted rather than being saved again
+   * @param {Object|Function} changes - Fields to overwrite, or a function of the stored record returning them
+   */
+  function updateRecord(changes) {
+    if (!record) { return }
+    updateTranscript(record.id, changes)
+      .then(updated => { if (updated) { setRecord(updated) } })
+      .catch(err => setSaveError(serializeError(err, ErrorCodes.STORAGE)))
+  }
+
+  /**
+   * Stores the edited segments of the saved transcript
+   * @param {Array<Object>} segments - The edited segments
+   */
+  function handleSegmentsChange(segments) {
+    updateRecord({ segments })
+  }
+
+  /**
+   * Stores a finished translation of the saved transcript
+   * @param {string} tgt_lang - NLLB code of the target language
+   * @param {Array<Object>} segments - The translated segments
+   */
+  function handleTranslationComplete(tgt_lang, segments) {
+    updateRecord((stored) => ({ translations: { ...stored.translations, [tgt_lang]: segments } }))
+  }
+
+  /**
+   * Stores a finished summary of the saved transcript
+   * @param {{summary: string, keyPoints: Array<Object>}} summary - The summary and its key points
+   */
+  function handleSummaryComplete(summary) {
+    updateRecord({ summary })
+  }
+
+  /**
+   * Stores the speaker names chosen for the saved transcript
+   * @param {Object<string, string>} speakers - Speaker names keyed by speaker id
+   */
+  function handleSpeakersChange(speakers) {
+    updateRecord({ speakers })
+  }
+
+  /**
+   * Keeps the open transcript in sync when it is renamed in the library
+   * @param {Object} updated - The updated library record
+   */
+  function handleRecordChange(updated) {
+    if (record?.id === updated.id) {
+      setRecord(updated)
+    }
+  }
+
+  /**
+   * Closes the open transcript when it is deleted from the library
+   * @param {number} id - The deleted record id
+   */
+  function handleRecordDelete(id) {
+    if (record?.id === id) {
+      handleNew()
+      setView('library')
+    }
+  }
+
+  /**
+   * Queue of files transcribed one after another through the same worker
    */
-  async function readAudioFrom(file) {
-    const sampling_rate = 16000
-    const audioCTX = new AudioContext({ sampleRate: sampling_rate })
-    const response = await file.arrayBuffer()
-    const decoded = await audioCTX.decodeAudioData(response)
-    const audio = decoded.getChannelData(0)
-    return audio
+  const { items: batchItems, addFiles, removeItem, retryItem, clearFinished } = useBatchQueue(worker, { modelName, language, task, channelMode, numSpeakers, skipSilence, wordTimestamps, decoding })
+
+  /**
+   * Queues several files for transcription and shows the queue
+   * @param {FileList|Array<File>} files - The files to transcribe
+   */
+  function startBatch(files) {
+    addFiles(files)
+    setView('batch')
+  }
+
+  /**
+   * Opens the results page of a finished batch item, with any edits made since
+   * @param {Object} item - The batch queue item
+   */
+  async function openBatchItem(item) {
+    const saved = await getTranscript(item.record.id)
+    if (saved) {
+      openTranscript(saved)
+    }
   }
 
   /**
@@ -137,28 +389,150 @@ function App() {
   async function handleFormSubmission() {
     if (!file && !audioStream) { return }
 
-    let audio = await readAudioFrom(file ? file : audioStream)
-    const model_name = `openai/whisper-tiny.en`
+    setError(null)
+    setWarnings([])
+    setOutput(null)
+    setPartial(null)
+    setOutputSettings(null)
+    setFinished(false)
+
+    let audio
+    try {
+      audio = await readAudioFrom(file ? file : audioStream, channelMode)
+    } catch (err) {
+      setError(serializeError(err, ErrorCodes.AUDIO_DECODE))
+      return
+    }
+
+    jobId.current += 1
+    setDownloading(false)
+    setDownloads({})
+    setLoading(true)
 
     worker.current.postMessage({
       type: MessageTypes.INFERENCE_REQUEST,
+      job_id: jobId.current,
       audio,
-      model_name
+      model_name: modelName,
+      language,
+      task,
+      num_speakers: numSpeakers,
+      vad: skipSilence,
+      word_timestamps: wordTimestamps,
+      decoding
+    })
+  }
+
+  /**
+   * Cancels the running transcription and returns to the file view
+   */
+  function handleCancel() {
+    worker.current.postMessage({
+      type: MessageTypes.CANCEL,
+      job_id: jobId.current
     })
+    jobId.current += 1
+
+    setOutput(null)
+    setPartial(null)
+    setLoading(false)
+    setDownloading(false)
+    setFinished(false)
+  }
+
+  /**
+   * Discards the current job and returns to the home page, cancelling any running transcription
+   */
+  function handleNew() {
+    if (loading && !finished) {
+      worker.current.postMessage({
+        type: MessageTypes.CANCEL,
+        job_id: jobId.current
+      })
+    }
+    jobId.current += 1
+
+    setView(null)
+    setLive(false)
+    setError(null)
+    setSaveError(null)
+    setWarnings([])
+    setRecord(null)
+    setOutputSettings(null)
+    setFile(null)
+    setAudioStream(null)
+    setOutput(null)
+    setPartial(null)
+    setDetectedLanguage(null)
+    setLoading(false)
+    setDownloading(false)
+    setFinished(false)
+  }
+
+  /**
+   * Reopens a transcript saved in the library
+   * @param {Object} saved - The library record
+   */
+  function openTranscript(saved) {
+    handleNew()
+    setRecord(saved)
+    setAudioStream(saved.audio)
+    setOutput(saved.segments)
+    setDetectedLanguage(saved.language)
+    setModelName(saved.modelName)
+    setTask(saved.task)
+    setOutputSettings(saved.settings ?? null)
+    setFinished(true)
+  }
+
+  /**
+   * Shows the transcript of a finished live session in the results view
+   * @param {Array<Object>} segments - The finalised live segments
+   * @param {Blob} recording - WAV recording of the session
+   */
+  function handleLiveFinish(segments, recording) {
+    setLive(false)
+    setAudioStream(recording)
+    setOutput(segments)
+    setFinished(true)
   }
 
   return (
     <div className='flex flex-col max-w-[1000px] mx-auto w-full'>
       <section className='min-h-screen flex flex-col'>
-        <Header />
-        {output ? (
-          <Information output={output} finished={finished}/>
+        <Header handleNew={handleNew} openBatch={batchItems.length > 0 ? () => setView('batch') : null} batchCount={batchItems.length} openLibrary={() => setView('library')} openSettings={() => setView('settings')} />
+        {view === 'settings' ? (
+          <Settings onClose={() => setView(null)} />
+        ) : view === 'batch' ? (
+          <BatchQueue items={batchItems} modelName={modelName} addFiles={addFiles} removeItem={removeItem} retryItem={retryItem} clearFinished={clearFinished} openItem={openBatchItem} />
+        ) : view === 'library' ? (
+          <Library openTranscript={openTranscript} onRecordChange={handleRecordChange} onRecordDelete={handleRecordDelete} onClose={() => setView(null)} />
+        ) : error ? (
+          <main className='flex-1 p-4 flex flex-col gap-3 justify-center pb-20 w-full max-w-prose mx-auto'>
+            <ErrorMessage error={error} actionLabel='Try again' onAction={() => setError(null)} />
+          </main>
+        ) : live ? (
+          <LiveTranscription worker={worker.current} modelName={modelName} language={language} task={task} onFinish={handleLiveFinish} onCancel={() => setLive(false)} />
+        ) : output ? (
+          <>
+            {saveError && (
+              <div className='p-4 w-full max-w-prose mx-auto'>
+                <ErrorMessage error={saveError} actionLabel={record ? 'Dismiss' : 'Retry saving'} onAction={() => setSaveError(null)} />
+              </div>
+            )}
+            {warnings.map((warning, i) => (
+              <div key={i} className='p-4 w-full max-w-prose mx-auto'>
+                <ErrorMessage error={warning} actionLabel='Dismiss' onAction={() => setWarnings(curr => curr.filter(entry => entry !== warning))} />
+              </div>
+            ))}
+            <Information output={output} partial={partial} finished={finished} handleCancel={handleCancel} detectedLanguage={detectedLanguage} task={task} settings={outputSettings} fileName={record?.title ?? file?.name} audioSource={file || audioStream} savedTranslations={record?.translations} savedSpeakers={record?.speakers} onSpeakersChange={handleSpeakersChange} onSegmentsChange={handleSegmentsChange} onTranslationComplete={handleTranslationComplete} savedSummary={record?.summary} onSummaryComplete={handleSummaryComplete} translationModel={translationModel} setTranslationModel={setTranslationModel} />
+          </>
         ) : loading ? (
-          <Transcribing />
+          <Transcribing downloading={downloading} downloads={downloads} partial={partial} handleCancel={handleCancel} />
         ) : isAudioAvailable ? (
-          <FileDisplay handleFormSubmission={handleFormSubmission} handleAudioReset={handleAudioReset} file={file} audioStream={audioStream} />
+          <FileDisplay handleFormSubmission={handleFormSubmission} handleAudioReset={handleAudioReset} file={file} audioStream={audioStream} modelName={modelName} setModelName={setModelName} language={language} setLanguage={setLanguage} task={task} setTask={setTask} channelMode={channelMode} setChannelMode={setChannelMode} numSpeakers={numSpeakers} setNumSpeakers={setNumSpeakers} skipSilence={skipSilence} setSkipSilence={setSkipSilence} wordTimestamps={wordTimestamps} setWordTimestamps={setWordTimestamps} decoding={decoding} setDecoding={setDecoding} />
         ) : (
-          <HomePage setFile={setFile} setAudioStream={setAudioStream} />
+          <HomePage setFile={setFile} setAudioStream={setAudioStream} startLive={() => setLive(true)} startBatch={startBatch} />
         )}
       </section>
     </div>
@@ -0,0 +1,160 @@
+import React, { useState } from 'react'
+import DownloadProgress from './DownloadProgress'
+import { BatchStatus, MODEL_DETAILS, ErrorCodes } from '../utils/presets'
+import { ERROR_MESSAGES } from '../utils/errors'
+import { getTranscript } from '../utils/db'
+import { ExportFormats, EXPORT_DETAILS, serializeSegments, getExportFileName, downloadFile } from '../utils/exporters'
+import { createZip, uniqueFileNames } from '../utils/zip'
+import { formatClock } from '../utils/time'
+import { FILE_ACCEPT } from '../utils/audio'
+import { labelSpeakers } from '../utils/speakers'
+import { loadGlossary, applyGlossary } from '../utils/glossary'
+
+/**
+ * Icon and colour shown for each batch status
+ */
+const STATUS_ICONS = {
+    [BatchStatus.QUEUED]: 'fa-regular fa-clock text-slate-400',
+    [BatchStatus.DOWNLOADING]: 'fa-solid fa-download text-blue-400 animate-pulse',
+    [BatchStatus.TRANSCRIBING]: 'fa-solid fa-spinner animate-spin text-blue-400',
+    [BatchStatus.DONE]: 'fa-solid fa-check text-blue-400',
+    [BatchStatus.FAILED]: 'fa-solid fa-triangle-exclamation text-rose-400',
+}
+
+/**
+ * BatchQueue Component
+ *
+ * Shows the files queued for transcription with the status of each one. Finished items
+ * open their own results page, failed ones can be retried, and every finished transcript
+ * can be downloaded at once as a zip of exports.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<Object>} props.items - The queue items from useBatchQueue
+ * @param {string} props.modelName - The Whisper model queued files are transcribed with
+ * @param {Function} props.addFiles - Adds files to the end of the queue
+ * @param {Function} props.removeItem - Removes an item, cancelling it if it is running
+ * @param {Function} props.retryItem - Queues a failed item again
+ * @param {Function} props.clearFinished - Removes every done and failed item
+ * @param {Function} props.openItem - Opens the results page of a finished item
+ * @returns {JSX.Element} Queue with per-item status and bulk download
+ */
+export default function BatchQueue(props) {
+    const { items, modelName, addFiles, removeItem, retryItem, clearFinished, openItem } = props
+    const [format, setFormat] = useState(ExportFormats.SRT)
+    const [zipping, setZipping] = useState(false)
+
+    const doneItems = items.filter(item => item.status === BatchStatus.DONE && item.record)
+    const finishedCount = items.filter(item => item.status === BatchStatus.DONE || item.status === BatchStatus.FAILED).length
+
+    /**
+     * Downloads the exports of every finished item as a single zip
+     * Records are re-read so edits made on the results pages are included
+     */
+    async function handleDownloadAll() {
+        setZipping(true)
+        try {
+            const records = await Promise.all(doneItems.map(async item => (await getTranscript(item.record.id)) ?? item.record))
+            const glossary = loadGlossary()
+            const names = uniqueFileNames(records.map(record => getExportFileName(record.title, format)))
+            const zip = createZip(records.map((record, i) => ({
+                name: names[i],
+                content: serializeSegments(format, labelSpeakers(applyGlossary(record.segments, glossary), record.speakers), { source: record.title, language: record.language, task: record.task, settings: record.settings })
+            })))
+            downloadFile(zip, `voxcribe_${format}_exports.zip`, 'application/zip')
+        } finally {
+            setZipping(false)
+        }
+    }
+
+    return (
+        <main className='flex-1 p-4 flex flex-col gap-3 sm:gap-4 pb-20 max-w-prose w-full mx-auto'>
+            <h1 className='font-semibold text-4xl sm:text-5xl md:text-6xl text-center'>Batch <span className='text-blue-400 bold'>Queue</span></h1>
+            <p className='text-center text-slate-500'>{finishedCount} of {items.length} processed with {MODEL_DETAILS[modelName]?.label ?? modelName}</p>
+
+            <div className='flex flex-col gap-2'>
+                {items.map(item => {
+                    return (
+                        <BatchItem key={item.id} item={item}
+                            onOpen={() => openItem(item)}
+                            onRetry={() => retryItem(item.id)}
+                            onRemove={() => removeItem(item.id)} />
+                    )
+                })}
+            </div>
+
+            <div className='flex items-center justify-between gap-4 flex-wrap'>
+                <label className='text-blue-400 cursor-pointer hover:text-blue-600 duration-200'>
+                    <i className="fa-solid fa-plus"></i> Add files
+                    <input onChange={(e) => { addFiles(e.target.files); e.target.value = '' }} className='hidden' type='file' multiple accept={FILE_ACCEPT} />
+                </label>
+                {finishedCount > 0 && (
+                    <button onClick={clearFinished} className='text-slate-400 hover:text-blue-600 duration-200'>Clear finished</button>
+                )}
+            </div>
+
+            {doneItems.length > 0 && (
+                <div className='flex items-stretch gap-2 sm:gap-4'>
+                    <select value={format} onChange={(e) => setFormat(e.target.value)} className='flex-1 outline-none bg-white p-2 rounded'>
+                        {Object.entries(EXPORT_DETAILS).map(([key, { label }]) => {
+                            return (
+                                <option key={key} value={key}>{label}</option>
+                            )
+                        })}
+                    </select>
+                    <button onClick={handleDownloadAll} disabled={zipping} className='specialBtn px-3 py-2 rounded-lg text-blue-400 hover:text-blue-600 duration-200 flex items-center gap-2 disabled:opacity-50'>
+                        <p>Download all ({doneItems.length})</p>
+                        <i className="fa-solid fa-file-zipper"></i>
+                    </button>
+                </div>
+            )}
+        </main>
+    )
+}
+
+/**
+ * Row of the queue for a single file
+ * @param {Object} props
+ * @param {Object} props.item - The queue item
+ * @param {Function} props.onOpen - Opens the results page of the item
+ * @param {Function} props.onRetry - Queues the item again after a failure
+ * @param {Function} props.onRemove - Removes the item from the queue
+ * @returns {JSX.Element} Queue entry
+ */
+function BatchItem(props) {
+    const { item, onOpen, onRetry, onRemove } = props
+    const downloading = item.status === BatchStatus.DOWNLOADING && Object.values(item.downloads).some(entry => !entry.done)
+
+    return (
+        <div className='flex flex-col gap-2 bg-white rounded p-3'>
+            <div className='flex items-center gap-3'>
+                <i className={STATUS_ICONS[item.status]}></i>
+                <div className='flex-1 flex flex-col min-w-0'>
+                    <p className='font-medium truncate'>{item.file.name}</p>
+                    <p className='text-xs text-slate-400 capitalize'>
+                        {item.status}
+                        {(item.status === BatchStatus.TRANSCRIBING && item.duration > 0) && <span className='tabular-nums'> · {formatClock(item.transcribedUntil)} of {formatClock(item.duration)}</span>}
+                        {item.status === BatchStatus.FAILED && item.error && <span className='normal-case'> · {ERROR_MESSAGES[item.error.code] ?? item.error.message}</span>}
+                    </p>
+                </div>
+                {(item.status === BatchStatus.DONE && item.record) && (
+                    <button onClick={onOpen} className='text-blue-400 hover:text-blue-600 duration-200'>Open</button>
+                )}
+                {(item.status === BatchStatus.FAILED && item.error?.code !== ErrorCodes.UNSUPPORTED_FORMAT) && (
+                    <button onClick={onRetry} className='text-blue-400 hover:text-blue-600 duration-200'>Retry</button>
+                )}
+                <button onClick={onRemove} title={item.status === BatchStatus.DONE ? 'Remove from queue' : 'Cancel'} className='text-slate-400 hover:text-rose-400 duration-200'>
+                    <i className="fa-solid fa-xmark"></i>
+                </button>
+            </div>
+            {(item.status === BatchStatus.TRANSCRIBING && item.duration > 0) && (
+                <div className='h-1 rounded-full bg-blue-50 overflow-hidden'>
+                    <div className='h-full bg-blue-300 duration-200' style={{ width: `${Math.min(item.transcribedUntil / item.duration, 1) * 100}%` }}></div>
+                </div>
+            )}
+            {downloading && (
+                <DownloadProgress title='Downloading model' downloads={item.downloads} />
+            )}
+        </div>
+    )
+}
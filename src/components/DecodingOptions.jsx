@@ -0,0 +1,75 @@
+import React from 'react'
+import { DEFAULT_DECODING_OPTIONS, DECODING_LIMITS } from '../utils/presets'
+
+/**
+ * Label, unit and hint shown for each decoding option
+ */
+const OPTION_DETAILS = {
+    num_beams: { label: 'Beams', unit: '', hint: 'More beams can be more accurate but are much slower' },
+    temperature: { label: 'Temperature', unit: '', hint: '0 always picks the likeliest words, higher values add variety' },
+    chunk_length_s: { label: 'Chunk length', unit: ' s', hint: 'Length of the audio windows sent to the model' },
+    stride_length_s: { label: 'Stride length', unit: ' s', hint: 'Overlap between windows, kept under half the chunk length' },
+}
+
+/**
+ * DecodingOptions Component
+ *
+ * Collapsible panel of advanced decoding settings: beam count, temperature, the chunk
+ * and stride length used to window long recordings, and an initial prompt that primes
+ * Whisper with product names or jargon. The values are sent with the inference request
+ * and stored with the finished transcript.
+ *
+ * @component
+ * @param {Object} props
+ * @param {{num_beams: number, temperature: number, chunk_length_s: number, stride_length_s: number, initial_prompt: string}} props.decoding - The current decoding options
+ * @param {Function} props.setDecoding - Function to update the decoding options
+ * @returns {JSX.Element} Advanced settings panel
+ */
+export default function DecodingOptions(props) {
+    const { decoding, setDecoding } = props
+    const changed = Object.keys(DEFAULT_DECODING_OPTIONS).some(key => decoding[key] !== DEFAULT_DECODING_OPTIONS[key])
+
+    /**
+     * Updates one option, keeping the stride under half the chunk length
+     * @param {string} key - Name of the option
+     * @param {number|string} value - The new value
+     */
+    function handleChange(key, value) {
+        setDecoding(curr => {
+            const next = { ...curr, [key]: value }
+            next.stride_length_s = Math.min(next.stride_length_s, (next.chunk_length_s - 1) / 2)
+            return next
+        })
+    }
+
+    return (
+        <details className='text-left mb-2'>
+            <summary className='text-xs sm:text-sm font-medium text-slate-500 cursor-pointer'>
+                Advanced decoding{changed && <span className='text-blue-400'> · customised</span>}
+            </summary>
+            <div className='flex flex-col gap-3 pt-3'>
+                {Object.entries(OPTION_DETAILS).map(([key, { label, unit, hint }]) => {
+                    const { min, max, step } = DECODING_LIMITS[key]
+                    return (
+                        <label key={key} className='flex flex-col gap-1' title={hint}>
+                            <div className='flex justify-between text-sm text-slate-500'>
+                                <span>{label}</span>
+                                <span className='tabular-nums text-blue-400'>{decoding[key]}{unit}</span>
+                            </div>
+                            <input type='range' min={min} max={max} step={step} value={decoding[key]}
+                                onChange={(e) => handleChange(key, Number(e.target.value))} className='accent-blue-400' />
+                        </label>
+                    )
+                })}
+                <label className='flex flex-col gap-1 text-sm' title='Whisper reads this as text said just before the recording, so names and jargon in it are spelled the same way'>
+                    <span className='text-slate-500'>Initial prompt</span>
+                    <textarea value={decoding.initial_prompt} onChange={(e) => handleChange('initial_prompt', e.target.value)} rows={2}
+                        placeholder='Product names, jargon or a sentence in the style of the recording' className='outline-none focus:outline-none bg-white duration-200 p-2 rounded resize-y' />
+                </label>
+                {changed && (
+                    <button onClick={() => setDecoding(DEFAULT_DECODING_OPTIONS)} className='text-slate-400 hover:text-blue-600 duration-200 text-sm self-start'>Reset to defaults</button>
+                )}
+            </div>
+        </details>
+    )
+}
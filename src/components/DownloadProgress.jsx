@@ -0,0 +1,57 @@
+import React from 'react'
+import { formatBytes, estimateRemaining } from '../utils/progress'
+import { formatClock } from '../utils/time'
+
+/**
+ * DownloadProgress Component
+ *
+ * Lists every model file being fetched with its size, percentage and an
+ * estimate of the time remaining, so long first-time downloads don't look stuck.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.title - Heading describing which model is downloading
+ * @param {Object<string, Object>} props.downloads - Download state keyed by file, see updateDownloads
+ * @returns {JSX.Element|null} Per-file progress panel, or nothing when no file is downloading
+ */
+export default function DownloadProgress(props) {
+    const { title, downloads } = props
+    const entries = Object.values(downloads)
+    if (entries.length === 0) { return null }
+
+    const loaded = entries.reduce((sum, entry) => sum + entry.loaded, 0)
+    const total = entries.reduce((sum, entry) => sum + entry.total, 0)
+
+    return (
+        <div className='flex flex-col gap-2 text-left w-full'>
+            <div className='flex items-baseline justify-between gap-2'>
+                <p className='text-xs sm:text-sm font-medium text-slate-500'>{title}</p>
+                <p className='text-xs text-slate-400 tabular-nums'>{formatBytes(loaded)}{total ? ` / ${formatBytes(total)}` : ''}</p>
+            </div>
+            {entries.map(entry => {
+                const remaining = estimateRemaining(entry)
+                return (
+                    <div key={entry.key} className='flex flex-col gap-1'>
+                        <div className='flex items-baseline justify-between gap-2 text-xs'>
+                            <p className='truncate'>{entry.file}</p>
+                            <p className='text-slate-400 whitespace-nowrap tabular-nums'>
+                                {entry.done ? (
+                                    <i className="fa-solid fa-check text-blue-400"></i>
+                                ) : (
+                                    <>
+                                        {Math.round(entry.progress)}%
+                                        {entry.total ? ` · ${formatBytes(entry.loaded)} / ${formatBytes(entry.total)}` : ''}
+                                        {remaining !== null ? ` · ${formatClock(remaining)} left` : ''}
+                                    </>
+                                )}
+                            </p>
+                        </div>
+                        <div className='h-1.5 rounded-full bg-white overflow-hidden'>
+                            <div className='h-full bg-blue-300 duration-200' style={{ width: `${entry.progress}%` }}></div>
+                        </div>
+                    </div>
+                )
+            })}
+        </div>
+    )
+}
@@ -0,0 +1,31 @@
+import React from 'react'
+import { ERROR_MESSAGES } from '../utils/errors'
+
+/**
+ * ErrorMessage Component
+ *
+ * Explains why a transcription or translation job failed, or which part of it was left out,
+ * with the raw error available for bug reports and an optional action to recover.
+ *
+ * @component
+ * @param {Object} props
+ * @param {{code: string, message: string}} props.error - Structured error from a worker or the main thread
+ * @param {string} [props.actionLabel] - Label of the recovery button
+ * @param {Function} [props.onAction] - Callback for the recovery button
+ * @returns {JSX.Element} Error description with details and recovery action
+ */
+export default function ErrorMessage(props) {
+    const { error, actionLabel, onAction } = props
+
+    return (
+        <div className='flex flex-col gap-2 items-center text-center bg-white rounded-lg p-4 border-[2px] border-solid border-rose-200'>
+            <p className='font-medium text-rose-400'><i className="fa-solid fa-triangle-exclamation"></i> {ERROR_MESSAGES[error.code] ?? 'Something went wrong.'}</p>
+            {error.message && (
+                <p className='text-xs text-slate-400 break-all'>{error.message}</p>
+            )}
+            {onAction && (
+                <button onClick={onAction} className='specialBtn px-3 py-2 rounded-lg text-blue-400 hover:text-blue-600 duration-200'>{actionLabel}</button>
+            )}
+        </div>
+    )
+}
@@ -1,4 +1,6 @@
 import React, { useRef, useEffect } from 'react'
+import { MODEL_DETAILS, WHISPER_LANGUAGES, WhisperTasks, ChannelModes } from '../utils/presets'
+import DecodingOptions from './DecodingOptions'
 
 /**
  * FileDisplay Component
@@ -12,6 +14,22 @@ import React, { useRef, useEffect } from 'react'
  * @param {File} [props.file] - The audio file to be played (optional)
  * @param {MediaStream} [props.audioStream] - Audio stream to be played (optional)
  * @param {Function} props.handleFormSubmission - Callback function for the transcribe action
+ * @param {string} props.modelName - The Whisper model selected for transcription
+ * @param {Function} props.setModelName - Function to update the selected Whisper model
+ * @param {string|null} props.language - The spoken language, null to auto-detect it
+ * @param {Function} props.setLanguage - Function to update the spoken language
+ * @param {string} props.task - The Whisper task, either transcribe or translate
+ * @param {Function} props.setTask - Function to update the Whisper task
+ * @param {string} props.channelMode - Whether multi-channel audio is mixed down or each channel transcribed separately
+ * @param {Function} props.setChannelMode - Function to update the channel mode
+ * @param {number|null} props.numSpeakers - Number of speakers to tell apart in mono audio, 0 to detect it, null to skip
+ * @param {Function} props.setNumSpeakers - Function to update the number of speakers
+ * @param {boolean} props.skipSilence - Whether silent stretches are skipped before inference
+ * @param {Function} props.setSkipSilence - Function to toggle skipping silence
+ * @param {boolean} props.wordTimestamps - Whether segments get the timing of each word
+ * @param {Function} props.setWordTimestamps - Function to toggle word timestamps
+ * @param {Object} props.decoding - Beam count, temperature, chunk and stride length and initial prompt for the advanced panel
+ * @param {Function} props.setDecoding - Function to update the decoding options
  * 
  * @returns {JSX.Element} A main section containing the audio player and control buttons
  * 
@@ -21,10 +39,26 @@ import React, { useRef, useEffect } from 'react'
  *   file={audioFile}
  *   audioStream={stream}
  *   handleFormSubmission={onTranscribe}
+ *   modelName={modelName}
+ *   setModelName={setModelName}
  * />
  */
 export default function FileDisplay(props) {
-    const { handleAudioReset, file, audioStream, handleFormSubmission } = props
+    const { handleAudioReset, file, audioStream, handleFormSubmission, modelName, setModelName, language, setLanguage, task, setTask, channelMode, setChannelMode, numSpeakers, setNumSpeakers, skipSilence, setSkipSilence, wordTimestamps, setWordTimestamps, decoding, setDecoding } = props
+    const multilingual = MODEL_DETAILS[modelName]?.multilingual
+
+    /**
+     * Updates the selected model, clearing the language and task options
+     * when switching to an English-only checkpoint that cannot use them
+     * @param {string} value - The newly selected model name
+     */
+    function handleModelChange(value) {
+        setModelName(value)
+        if (!MODEL_DETAILS[value]?.multilingual) {
+            setLanguage(null)
+            setTask(WhisperTasks.TRANSCRIBE)
+        }
+    }
     const audioRef = useRef()
 
     useEffect(() => {
@@ -51,6 +85,68 @@ export default function FileDisplay(props) {
                     Your browser does not support the audio element.
                 </audio>
             </div>
+            <div className='flex flex-col gap-1 text-left mb-2'>
+                <p className='text-xs sm:text-sm font-medium text-slate-500'>Model</p>
+                <select value={modelName} className='outline-none w-full focus:outline-none bg-white duration-200 p-2 rounded' onChange={(e) => handleModelChange(e.target.value)}>
+                    {Object.entries(MODEL_DETAILS).map(([value, { label, size }]) => {
+                        return (
+                            <option key={value} value={value}>{label} · {size}</option>
+                        )
+                    })}
+                </select>
+            </div>
+            {multilingual && (
+                <div className='grid grid-cols-1 sm:grid-cols-2 gap-4 text-left mb-2'>
+                    <div className='flex flex-col gap-1'>
+                        <p className='text-xs sm:text-sm font-medium text-slate-500'>Spoken language</p>
+                        <select value={language ?? ''} className='outline-none w-full focus:outline-none bg-white duration-200 p-2 rounded capitalize' onChange={(e) => setLanguage(e.target.value || null)}>
+                            <option value=''>Auto-detect</option>
+                            {Object.keys(WHISPER_LANGUAGES).map(name => {
+                                return (
+                                    <option key={name} value={name}>{name}</option>
+                                )
+                            })}
+                        </select>
+                    </div>
+                    <div className='flex flex-col gap-1'>
+                        <p className='text-xs sm:text-sm font-medium text-slate-500'>Task</p>
+                        <select value={task} className='outline-none w-full focus:outline-none bg-white duration-200 p-2 rounded' onChange={(e) => setTask(e.target.value)}>
+                            <option value={WhisperTasks.TRANSCRIBE}>Transcribe</option>
+                            <option value={WhisperTasks.TRANSLATE}>Translate to English</option>
+                        </select>
+                    </div>
+                </div>
+            )}
+            <div className='flex flex-col gap-1 text-left mb-2'>
+                <p className='text-xs sm:text-sm font-medium text-slate-500'>Channels</p>
+                <select value={channelMode} className='outline-none w-full focus:outline-none bg-white duration-200 p-2 rounded' onChange={(e) => setChannelMode(e.target.value)}>
+                    <option value={ChannelModes.MIX}>Mix all channels down</option>
+                    <option value={ChannelModes.SEPARATE}>One speaker per channel (e.g. stereo calls)</option>
+                </select>
+            </div>
+            {channelMode === ChannelModes.MIX && (
+                <div className='flex flex-col gap-1 text-left mb-2'>
+                    <p className='text-xs sm:text-sm font-medium text-slate-500'>Speakers</p>
+                    <select value={numSpeakers ?? ''} className='outline-none w-full focus:outline-none bg-white duration-200 p-2 rounded' onChange={(e) => setNumSpeakers(e.target.value === '' ? null : Number(e.target.value))}>
+                        <option value=''>Don&apos;t label speakers</option>
+                        <option value='0'>Detect speakers automatically</option>
+                        {[2, 3, 4, 5, 6].map(count => {
+                            return (
+                                <option key={count} value={count}>{count} speakers</option>
+                            )
+                        })}
+                    </select>
+                </div>
+            )}
+            <label className='flex items-center gap-2 text-left mb-2 text-sm text-slate-500 cursor-pointer'>
+                <input type='checkbox' checked={skipSilence} onChange={(e) => setSkipSilence(e.target.checked)} className='accent-blue-400' />
+                Skip silence (faster on long recordings, fewer made-up lines)
+            </label>
+            <label className='flex items-center gap-2 text-left mb-2 text-sm text-slate-500 cursor-pointer'>
+                <input type='checkbox' checked={wordTimestamps} onChange={(e) => setWordTimestamps(e.target.checked)} className='accent-blue-400' />
+                Word-level timestamps (word-by-word highlighting and captions)
+            </label>
+            <DecodingOptions decoding={decoding} setDecoding={setDecoding} />
             <div className='flex items-center justify-between gap-4'>
                 <button onClick={handleAudioReset} className='text-slate-400 hover:text-blue-600 duration-200'>Reset</button>
                 <button onClick={handleFormSubmission} className='specialBtn  px-3 p-2 rounded-lg text-blue-400 flex items-center gap-2 font-medium '>
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react'
+import { loadGlossary, saveGlossary, createRule, compileRule } from '../utils/glossary'
+
+/**
+ * Glossary Component
+ *
+ * Lets users manage find-and-replace rules for names and terms Whisper keeps misspelling.
+ * Plain rules replace whole words, case-sensitively; regex rules take a regular expression
+ * and can use $1, $2... in the replacement. Rules are applied in order to every transcript
+ * before it is shown or exported, and protected terms are kept as is when translating.
+ * The rules are stored in this browser.
+ *
+ * @component
+ * @returns {JSX.Element} Editable list of glossary rules
+ */
+export default function Glossary() {
+    const [rules, setRules] = useState(loadGlossary)
+
+    /**
+     * Replaces the rules and saves them
+     * @param {Array<Object>} next - The new rules
+     */
+    function updateRules(next) {
+        setRules(next)
+        saveGlossary(next)
+    }
+
+    /**
+     * Applies changes to one rule
+     * @param {string} id - The rule id
+     * @param {Object} changes - Fields to overwrite
+     */
+    function updateRule(id, changes) {
+        updateRules(rules.map(rule => rule.id === id ? { ...rule, ...changes } : rule))
+    }
+
+    return (
+        <section className='flex flex-col gap-2'>
+            <h2 className='font-semibold text-2xl text-center'>Glossary</h2>
+            <p className='text-center text-slate-500 text-sm'>Fix names and terms in every transcript. Rules run top to bottom, and protected terms are left untranslated.</p>
+
+            {rules.map(rule => {
+                return (
+                    <GlossaryRule key={rule.id} rule={rule}
+                        onChange={(changes) => updateRule(rule.id, changes)}
+                        onDelete={() => updateRules(rules.filter(entry => entry.id !== rule.id))} />
+                )
+            })}
+
+            <button onClick={() => updateRules([...rules, createRule()])} className='text-blue-400 hover:text-blue-600 duration-200 self-start'>
+                <i className="fa-solid fa-plus"></i> Add rule
+            </button>
+        </section>
+    )
+}
+
+/**
+ * Row of the glossary for a single rule
+ * The find and replace fields are edited as local drafts and committed on blur or Enter
+ *
+ * @param {Object} props
+ * @param {Object} props.rule - The glossary rule
+ * @param {Function} props.onChange - Called with the changed fields of the rule
+ * @param {Function} props.onDelete - Removes the rule
+ * @returns {JSX.Element} Glossary rule editor
+ */
+function GlossaryRule(props) {
+    const { rule, onChange, onDelete } = props
+    const [find, setFind] = useState(rule.find)
+    const [replace, setReplace] = useState(rule.replace)
+
+    useEffect(() => {
+        setFind(rule.find)
+        setReplace(rule.replace)
+    }, [rule.find, rule.replace])
+
+    const invalid = rule.find !== '' && compileRule(rule) === null
+
+    function commitDrafts() {
+        if (find !== rule.find || replace !== rule.replace) {
+            onChange({ find, replace })
+        }
+    }
+
+    function blurOnEnter(e) {
+        if (e.key === 'Enter') { e.target.blur() }
+    }
+
+    return (
+        <div className='flex flex-col gap-2 bg-white rounded p-3'>
+            <div className='flex items-center gap-2'>
+                <input value={find} placeholder={rule.regex ? 'Pattern, e.g. Vox ?scribe' : 'Find, e.g. Voxscribe'} onChange={(e) => setFind(e.target.value)} onBlur={commitDrafts} onKeyDown={blurOnEnter}
+                    className={'flex-1 min-w-0 outline-none border-b p-1 ' + (rule.regex ? 'font-mono text-sm ' : '') + (invalid ? 'border-rose-300' : 'border-blue-100')} />
+                <i className="fa-solid fa-arrow-right text-slate-300"></i>
+                <input value={replace} placeholder='Replace, e.g. VoxCribe' onChange={(e) => setReplace(e.target.value)} onBlur={commitDrafts} onKeyDown={blurOnEnter}
+                    className='flex-1 min-w-0 outline-none border-b border-blue-100 p-1' />
+                <button onClick={onDelete} title='Delete rule' className='text-slate-400 hover:text-rose-400 duration-200'>
+                    <i className="fa-solid fa-trash"></i>
+                </button>
+            </div>
+            <div className='flex items-center gap-4 text-xs text-slate-500'>
+                <label className='flex items-center gap-1 cursor-pointer'>
+                    <input type='checkbox' checked={rule.regex} onChange={(e) => onChange({ regex: e.target.checked })} className='accent-blue-400' />
+                    Regular expression
+                </label>
+                {!rule.regex && (
+                    <label className='flex items-center gap-1 cursor-pointer'>
+                        <input type='checkbox' checked={rule.protect} onChange={(e) => onChange({ protect: e.target.checked })} className='accent-blue-400' />
+                        Don&apos;t translate
+                    </label>
+                )}
+                {invalid && <span className='text-rose-400'>Invalid pattern</span>}
+            </div>
+        </div>
+    )
+}
@@ -3,22 +3,42 @@ import React from 'react'
 /**
  * Header Component
  * 
- * Renders the application header with the VoxCribe logo, GitHub link, and a New button.
+ * Renders the application header with the VoxCribe logo, GitHub link, batch queue, library and settings buttons, and a New button.
  * The header is fixed at the top of the application and provides navigation controls.
  * 
  * @component
+ * @param {Object} props
+ * @param {Function} props.handleNew - Discards the current job and returns to the home page
+ * @param {Function|null} props.openBatch - Opens the batch queue, null when the queue is empty
+ * @param {number} props.batchCount - Number of files in the batch queue
+ * @param {Function} props.openLibrary - Opens the library of saved transcripts
+ * @param {Function} props.openSettings - Opens the offline model settings
  * @returns {JSX.Element} Header with navigation links and branding
  */
-export default function Header() {
+export default function Header(props) {
+    const { handleNew, openBatch, batchCount, openLibrary, openSettings } = props
+
     return (
         <header className='flex items-center justify-between gap-4 p-4'>
-            <a href="/"><h1 className='font-medium'>Vox<span className='text-blue-400 bold'>Cribe</span></h1></a>
+            <button onClick={handleNew}><h1 className='font-medium'>Vox<span className='text-blue-400 bold'>Cribe</span></h1></button>
             <div className='gap-4 flex items-center '>
                 <a href="https://github.com/chacehy" target='_blank' className='text-slate-600 cursor-pointer' rel="noreferrer">Github</a>
-                <a href="/" className='flex items-center gap-2 specialBtn px-3 py-2 rounded-lg text-blue-400'>
+                {openBatch && (
+                    <button onClick={openBatch} title='Batch queue' className='text-slate-600 hover:text-blue-400 duration-200 flex items-center gap-1'>
+                        <i className="fa-solid fa-list-check"></i>
+                        <span className='text-xs'>{batchCount}</span>
+                    </button>
+                )}
+                <button onClick={openLibrary} title='Library' className='text-slate-600 hover:text-blue-400 duration-200'>
+                    <i className="fa-solid fa-book"></i>
+                </button>
+                <button onClick={openSettings} title='Offline models' className='text-slate-600 hover:text-blue-400 duration-200'>
+                    <i className="fa-solid fa-gear"></i>
+                </button>
+                <button onClick={handleNew} className='flex items-center gap-2 specialBtn px-3 py-2 rounded-lg text-blue-400'>
                     <p>New</p>
                     <i className="fa-solid fa-plus"></i>
-                </a>
+                </button>
             </div>
         </header>
     )
@@ -1,112 +1,248 @@
 import React, { useState, useEffect, useRef } from 'react'
+import ErrorMessage from './ErrorMessage'
+import { ErrorCodes } from '../utils/presets'
+import { serializeError } from '../utils/errors'
+import { FILE_ACCEPT, isSupportedFile } from '../utils/audio'
+import { formatClock } from '../utils/time'
+import { getRecordingMimeType, listInputDevices, openMicrophone, startLevelMeter, SILENT_LEVEL, SILENCE_WARNING_DELAY } from '../utils/recorder'
 
 /**
  * HomePage Component
  * 
  * Main landing page component that handles audio recording and file upload functionality.
- * Provides interface for users to either record audio directly or upload an audio file.
+ * Provides interface for users to either record audio directly or upload audio files.
+ * Files can also be dropped anywhere on the page; several files at once go to the batch queue.
+ * Recordings can be paused and resumed, show the elapsed time and the input level, can use
+ * any connected microphone, and warn when the microphone is blocked or picks up nothing.
  * 
  * @component
  * @param {Object} props
  * @param {Function} props.setAudioStream - Function to set the recorded audio stream
  * @param {Function} props.setFile - Function to set the uploaded audio file
+ * @param {Function} props.startLive - Function to start a live transcription session
+ * @param {Function} props.startBatch - Function to queue several files for transcription
  * @returns {JSX.Element} Home page with recording and upload controls
  */
 export default function HomePage(props) {
-    const { setAudioStream, setFile } = props
+    const { setAudioStream, setFile, startLive, startBatch } = props
 
     const [recordingStatus, setRecordingStatus] = useState('inactive')
-    const [audioChunks, setAudioChunks] = useState([])
     const [duration, setDuration] = useState(0)
+    const [devices, setDevices] = useState([])
+    const [deviceId, setDeviceId] = useState('')
+    const [level, setLevel] = useState(0)
+    const [silent, setSilent] = useState(false)
+    const [dragging, setDragging] = useState(false)
+    const [error, setError] = useState(null)
 
     const mediaRecorder = useRef(null)
-    const mimeType = 'audio/webm'
+    const stopMeter = useRef(null)
+    const lastSound = useRef(0)
+
+    /**
+     * Effect hook to list the microphones, again whenever one is plugged in or removed
+     */
+    useEffect(() => {
+        const mediaDevices = navigator.mediaDevices
+        const refreshDevices = () => listInputDevices().then(setDevices).catch(() => setDevices([]))
+
+        refreshDevices()
+        mediaDevices?.addEventListener('devicechange', refreshDevices)
+        return () => mediaDevices?.removeEventListener('devicechange', refreshDevices)
+    }, [])
+
+    /**
+     * Effect hook to release the microphone if the page closes while recording
+     */
+    useEffect(() => {
+        return () => {
+            stopMeter.current?.()
+            const recorder = mediaRecorder.current
+            if (recorder && recorder.state !== 'inactive') {
+                recorder.onstop = null
+                recorder.stop()
+                recorder.stream.getTracks().forEach(track => track.stop())
+            }
+        }
+    }, [])
 
     /**
      * Initiates audio recording using the browser's MediaRecorder API
-     * Requests microphone access and starts recording audio chunks
+     * Opens the selected microphone and records in the first format the browser supports
      * @async
      */
     async function startRecording() {
-        let tempStream
-        console.log('Start recording')
+        setError(null)
 
+        let stream
         try {
-            const streamData = await navigator.mediaDevices.getUserMedia({
-                audio: true,
-                video: false
-            })
-            tempStream = streamData
+            stream = await openMicrophone(deviceId || null)
         } catch (err) {
-            console.log(err.message)
+            setError(serializeError(err, ErrorCodes.MICROPHONE))
             return
         }
-        setRecordingStatus('recording')
 
-        //create new Media recorder instance using the stream
-        const media = new MediaRecorder(tempStream, { type: mimeType })
+        // Device names are only available once access has been granted
+        listInputDevices().then(setDevices).catch(() => setDevices([]))
+
+        const mimeType = getRecordingMimeType()
+        const media = new MediaRecorder(stream, mimeType ? { mimeType } : undefined)
         mediaRecorder.current = media
 
-        mediaRecorder.current.start()
-        let localAudioChunks = []
-        mediaRecorder.current.ondataavailable = (event) => {
+        const localAudioChunks = []
+        media.ondataavailable = (event) => {
             if (typeof event.data === 'undefined') { return }
             if (event.data.size === 0) { return }
             localAudioChunks.push(event.data)
         }
-        setAudioChunks(localAudioChunks)
+        media.onstop = () => {
+            stream.getTracks().forEach(track => track.stop())
+            setAudioStream(new Blob(localAudioChunks, { type: media.mimeType || mimeType || 'audio/webm' }))
+        }
+        media.start()
+
+        lastSound.current = Date.now()
+        stopMeter.current = startLevelMeter(stream, (value) => {
+            // Paused time does not count towards the silence warning
+            if (value >= SILENT_LEVEL || media.state !== 'recording') {
+                lastSound.current = Date.now()
+            }
+            setLevel(value)
+            setSilent(Date.now() - lastSound.current > SILENCE_WARNING_DELAY)
+        })
+
+        setDuration(0)
+        setRecordingStatus('recording')
+    }
+
+    /**
+     * Pauses the recording, or resumes it when paused
+     */
+    function togglePause() {
+        if (recordingStatus === 'recording') {
+            mediaRecorder.current.pause()
+            setRecordingStatus('paused')
+        } else {
+            mediaRecorder.current.resume()
+            setRecordingStatus('recording')
+        }
     }
 
     /**
      * Stops the current audio recording
-     * Creates a blob from recorded chunks and sets it as the audio stream
-     * @async
+     * The recorder's stop handler turns the recorded chunks into the audio stream
      */
-    async function stopRecording() {
+    function stopRecording() {
+        stopMeter.current?.()
+        stopMeter.current = null
         setRecordingStatus('inactive')
-        console.log('Stop recording')
+        setLevel(0)
+        setSilent(false)
 
         mediaRecorder.current.stop()
-        mediaRecorder.current.onstop = () => {
-            const audioBlob = new Blob(audioChunks, { type: mimeType })
-            setAudioStream(audioBlob)
-            setAudioChunks([])
-            setDuration(0)
+    }
+
+    /**
+     * Opens a single file for transcription, or queues several at once
+     * A single file in an unsupported format is rejected before it is decoded
+     * @param {FileList} files - The selected or dropped files
+     */
+    function handleFiles(files) {
+        if (files.length === 0) { return }
+        if (files.length === 1) {
+            if (!isSupportedFile(files[0])) {
+                setError({ code: ErrorCodes.UNSUPPORTED_FORMAT, message: files[0].name })
+                return
+            }
+            setFile(files[0])
+        } else {
+            startBatch(files)
         }
     }
 
+    /**
+     * Handles files dropped onto the page
+     * @param {DragEvent} e - The drop event
+     */
+    function handleDrop(e) {
+        e.preventDefault()
+        setDragging(false)
+        handleFiles(e.dataTransfer.files)
+    }
+
     /**
      * Effect hook to track recording duration
-     * Updates duration counter every second while recording is active
+     * Updates duration counter every second while recording, and holds it while paused
      */
     useEffect(() => {
-        if (recordingStatus === 'inactive') { return }
+        if (recordingStatus !== 'recording') { return }
 
         const interval = setInterval(() => {
             setDuration(curr => curr + 1)
         }, 1000)
 
         return () => clearInterval(interval)
-    })
+    }, [recordingStatus])
 
 
     return (
-        <main className='flex-1  p-4 flex flex-col gap-3 text-center sm:gap-4  justify-center pb-20'>
+        <main onDragOver={(e) => { e.preventDefault(); setDragging(true) }} onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) { setDragging(false) } }} onDrop={handleDrop}
+            className={'flex-1  p-4 flex flex-col gap-3 text-center sm:gap-4  justify-center pb-20 rounded-xl duration-200 ' + (dragging ? 'bg-blue-50 border-[2px] border-dashed border-blue-300' : 'border-[2px] border-transparent')}>
             <h1 className='font-semibold text-5xl sm:text-6xl md:text-7xl'>Vox<span className='text-blue-400 bold'>Cribe</span></h1>
             <h3 className='font-medium md:text-lg'>Record <span className='text-blue-400'>&rarr;</span> Transcribe <span className='text-blue-400'>&rarr;</span> Translate</h3>
-            <button onClick={recordingStatus === 'recording' ? stopRecording : startRecording} className='flex specialBtn px-4 py-2 rounded-xl items-center text-base justify-between gap-4 mx-auto w-72 max-w-full my-4'>
-                <p className='text-blue-400'>{recordingStatus === 'inactive' ? 'Record' : `Stop recording`}</p>
-                <div className='flex items-center gap-2'>
-                    {/* {duration !== 0 && (
-                        <p className='text-sm'>{duration}s</p>
-                    )} */}
-                    <i className={"fa-solid duration-200 fa-microphone " + (recordingStatus === 'recording' ? ' text-rose-300' : "")}></i>
+            {recordingStatus === 'inactive' ? (
+                <div className='flex flex-col gap-2 mx-auto w-72 max-w-full my-4'>
+                    <button onClick={startRecording} className='flex specialBtn px-4 py-2 rounded-xl items-center text-base justify-between gap-4'>
+                        <p className='text-blue-400'>Record</p>
+                        <i className="fa-solid duration-200 fa-microphone"></i>
+                    </button>
+                    {devices.length > 1 && (
+                        <select value={deviceId} onChange={(e) => setDeviceId(e.target.value)} title='Microphone' className='outline-none bg-transparent text-sm text-slate-500 text-center'>
+                            <option value=''>Default microphone</option>
+                            {devices.map(device => {
+                                return (
+                                    <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+                                )
+                            })}
+                        </select>
+                    )}
                 </div>
+            ) : (
+                <div className='flex flex-col gap-2 mx-auto w-72 max-w-full my-4'>
+                    <div className='flex specialBtn px-4 py-2 rounded-xl items-center text-base justify-between gap-4'>
+                        <p className='flex items-center gap-2 text-blue-400 tabular-nums'>
+                            <i className={'fa-solid fa-circle text-xs ' + (recordingStatus === 'recording' ? 'text-rose-300 animate-pulse' : 'text-slate-300')}></i>
+                            {formatClock(duration)}{recordingStatus === 'paused' && <span className='text-slate-400'> · paused</span>}
+                        </p>
+                        <div className='flex items-center gap-3'>
+                            <button onClick={togglePause} title={recordingStatus === 'paused' ? 'Resume' : 'Pause'} className='text-blue-400 hover:text-blue-600 duration-200'>
+                                <i className={'fa-solid ' + (recordingStatus === 'paused' ? 'fa-play' : 'fa-pause')}></i>
+                            </button>
+                            <button onClick={stopRecording} title='Stop recording' className='text-rose-300 hover:text-rose-400 duration-200'>
+                                <i className="fa-solid fa-stop"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div className='h-1.5 rounded-full bg-blue-50 overflow-hidden' title='Input level'>
+                        <div className='h-full bg-blue-300 duration-75' style={{ width: `${Math.min(Math.sqrt(level) * 2, 1) * 100}%` }}></div>
+                    </div>
+                    {silent && (
+                        <p className='text-sm text-rose-400'>The microphone isn&apos;t picking anything up. Check that it is not muted, or stop and pick another one.</p>
+                    )}
+                </div>
+            )}
+            <button onClick={startLive} disabled={recordingStatus !== 'inactive'} className='flex specialBtn px-4 py-2 rounded-xl items-center text-base justify-between gap-4 mx-auto w-72 max-w-full disabled:opacity-50'>
+                <p className='text-blue-400'>Live transcription</p>
+                <i className="fa-solid fa-tower-broadcast"></i>
             </button>
             <p className='text-base'>Or <label className='text-blue-400 cursor-pointer hover:text-blue-600 duration-200'>upload <input onChange={(e) => {
-                const tempFile = e.target.files[0]
-                setFile(tempFile)
-            }} className='hidden' type='file' accept='.mp3,.wave' /></label> a mp3 file</p>
+                handleFiles(e.target.files)
+            }} className='hidden' type='file' multiple accept={FILE_ACCEPT} /></label> audio or video files, or drop them here</p>
+            {error && (
+                <div className='max-w-prose w-full mx-auto'>
+                    <ErrorMessage error={error} actionLabel='Dismiss' onAction={() => setError(null)} />
+                </div>
+            )}
             <p className='italic text-slate-400'>Free now free forever</p>
         </main>
     )
@@ -1,28 +1,160 @@
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef, useMemo } from 'react'
 import Transcription from './Transcription'
 import Translation from './Translation'
+import TranscriptEditor from './TranscriptEditor'
+import ErrorMessage from './ErrorMessage'
+import DownloadProgress from './DownloadProgress'
+import SpeakerNames from './SpeakerNames'
+import TranscriptSearch from './TranscriptSearch'
+import Summary from './Summary'
+import { useHistory } from '../utils/useHistory'
+import { updateDownloads } from '../utils/progress'
+import { WHISPER_LANGUAGES, WhisperTasks, MessageTypes } from '../utils/presets'
+import { EXPORT_DETAILS, serializeSegments, getExportFileName, downloadFile, toTXT } from '../utils/exporters'
+import { listSpeakers, labelSpeakers } from '../utils/speakers'
+import { loadGlossary, applyGlossary, getProtectedTerms } from '../utils/glossary'
+import { supportsPair } from '../utils/translationModels'
+import { summaryToText } from '../utils/summary'
+import { findActiveSegment } from '../utils/time'
 
 /**
  * Information Component
  * 
  * Displays transcription and translation results with options to switch between views,
- * copy content, and download results. Manages the translation worker and UI state.
+ * edit the transcript, copy content, and download results. Manages the translation worker and UI state.
+ * Once transcription finishes, the segments can be edited with undo/redo, and every copy, export
+ * and translation uses the edited segments rather than the raw worker output.
+ * Glossary rules are applied on top of the stored text for display, copy, export and
+ * translation, with a toggle to see the raw text; the editor always works on the raw text.
+ * Both tabs can be searched, and picking a result scrolls to it and seeks the audio.
+ * Translations into several languages are kept side by side, keyed by NLLB code; one of them
+ * is shown, searched, copied and exported at a time.
+ * The summary tab runs a local summarization model in its own worker and links each key point
+ * back to the transcript segments it came from.
  * 
  * @component
  * @param {Object} props
  * @param {Array} props.output - Array of transcription results
  * @param {boolean} props.finished - Whether the transcription process is complete
+ * @param {string|null} props.detectedLanguage - Spoken language reported by the transcription worker
+ * @param {string} props.task - The Whisper task the transcription was produced with
+ * @param {Object|null} [props.settings] - Decoding options the transcription was produced with, stored in JSON exports
+ * @param {string} [props.fileName] - Name of the transcribed file, used to name exports
+ * @param {File|Blob} [props.audioSource] - The transcribed audio, played back alongside the results
+ * @param {Function} props.handleCancel - Callback to cancel the running transcription
+ * @param {Object<string, Array<Object>>} [props.savedTranslations] - Translations saved in the library, keyed by NLLB code
+ * @param {Object<string, string>} [props.savedSpeakers] - Speaker names saved in the library, keyed by speaker id
+ * @param {Function} props.onSpeakersChange - Called with the speaker names after a rename, to save them
+ * @param {Function} props.onSegmentsChange - Called with the segments after each edit, to save them
+ * @param {Function} props.onTranslationComplete - Called with the target language and segments of a finished translation
+ * @param {{summary: string, keyPoints: Array<Object>}} [props.savedSummary] - Summary saved in the library
+ * @param {Function} props.onSummaryComplete - Called with a finished summary, to save it
+ * @param {string} props.translationModel - The model translations are made with
+ * @param {Function} props.setTranslationModel - Function to change the translation model
  * @returns {JSX.Element} Information display with transcription/translation tabs and controls
  */
 export default function Information(props) {
-    const { output, finished } = props
+    const { output, finished, detectedLanguage, task, settings, fileName, audioSource, handleCancel, savedTranslations, savedSpeakers, onSpeakersChange, onSegmentsChange, onTranslationComplete, savedSummary, onSummaryComplete, translationModel } = props
     const [tab, setTab] = useState('transcription')
-    const [translation, setTranslation] = useState(null)
-    const [toLanguage, setToLanguage] = useState('Select language')
+    const [translations, setTranslations] = useState(savedTranslations ?? {})
+    const [targetLanguages, setTargetLanguages] = useState([])
+    const [viewLanguage, setViewLanguage] = useState(Object.keys(savedTranslations ?? {}).pop() ?? null)
+    const [comparing, setComparing] = useState(false)
+    const [chosenSource, setChosenSource] = useState(null)
     const [translating, setTranslating] = useState(null)
+    const [translationProgress, setTranslationProgress] = useState(null)
+    const [translationError, setTranslationError] = useState(null)
+    const [translationDownloads, setTranslationDownloads] = useState({})
+    const [showExportMenu, setShowExportMenu] = useState(false)
+    const [currentTime, setCurrentTime] = useState(0)
+    const [playing, setPlaying] = useState(false)
+    const [editing, setEditing] = useState(false)
+    const [speakerNames, setSpeakerNames] = useState(savedSpeakers ?? {})
+    const [glossary] = useState(loadGlossary)
+    const [showRaw, setShowRaw] = useState(false)
+    const [searchFocus, setSearchFocus] = useState(null)
+    const [summary, setSummary] = useState(savedSummary ?? null)
+    const [summarizing, setSummarizing] = useState(false)
+    const [summaryProgress, setSummaryProgress] = useState(null)
+    const [summaryError, setSummaryError] = useState(null)
+    const [summaryDownloads, setSummaryDownloads] = useState({})
+    const { present: segments, set: setSegments, undo, redo, reset: resetSegments, canUndo, canRedo } = useHistory(output)
     console.log(output)
 
     const worker = useRef()
+    const translationJobId = useRef(0)
+    const summaryWorker = useRef()
+    const summaryJobId = useRef(0)
+    const audioRef = useRef()
+    const savedSegments = useRef(output)
+    const saveState = useRef({ finished, onSegmentsChange })
+
+    /**
+     * Effect hook to load the transcribed audio into the player
+     */
+    useEffect(() => {
+        if (!audioSource) { return }
+        const url = URL.createObjectURL(audioSource)
+        audioRef.current.src = url
+        return () => URL.revokeObjectURL(url)
+    }, [audioSource])
+
+    /**
+     * Effect hook to replace the editable segments whenever the worker sends new results
+     */
+    useEffect(() => {
+        savedSegments.current = output
+        resetSegments(output)
+    }, [output, resetSegments])
+
+    /**
+     * Effect hook to keep the latest save callback and finished flag at hand for the save below,
+     * which should only run when the segments change
+     */
+    useEffect(() => {
+        saveState.current = { finished, onSegmentsChange }
+    }, [finished, onSegmentsChange])
+
+    /**
+     * Effect hook to save the segments whenever they differ from the last saved ones,
+     * including when an undo goes back to the original transcript
+     */
+    useEffect(() => {
+        const { finished, onSegmentsChange } = saveState.current
+        if (finished && segments !== savedSegments.current) {
+            savedSegments.current = segments
+            onSegmentsChange(segments)
+        }
+    }, [segments])
+
+    /**
+     * Seeks the audio player to the given time and starts playback
+     * @param {number} time - Time in seconds
+     */
+    function handleSeek(time) {
+        if (!audioRef.current) { return }
+        audioRef.current.currentTime = time
+        setCurrentTime(time)
+        audioRef.current.play()
+    }
+
+    /**
+     * Switches between the transcription, translation and summary tabs
+     * @param {string} next - The tab to show
+     */
+    function switchTab(next) {
+        setTab(next)
+        setSearchFocus(null)
+    }
+
+    /**
+     * Jumps to a search result: outlines and scrolls to its segment, and seeks the audio
+     * @param {{index: number, start: number}} result - The selected search result
+     */
+    function handleSearchSelect(result) {
+        setSearchFocus({ index: result.index })
+        handleSeek(result.start)
+    }
 
     /**
      * Effect hook to set up and manage the translation worker
@@ -36,30 +168,156 @@ export default function Information(props) {
         }
 
         const onMessageReceived = async (e) => {
+            if (e.data.job_id !== translationJobId.current) { return }
+
+            if (e.data.type === MessageTypes.ERROR) {
+                setTranslationError(e.data.error)
+                setTranslating(false)
+                return
+            }
+
             switch (e.data.status) {
                 case 'initiate':
-                    console.log('DOWNLOADING')
-                    break;
                 case 'progress':
-                    console.log('LOADING')
+                case 'done':
+                    setTranslationDownloads(curr => updateDownloads(curr, e.data))
                     break;
                 case 'update':
-                    setTranslation(e.data.output)
-                    console.log(e.data.output)
+                    setTranslations(curr => ({ ...curr, [e.data.tgt_lang]: [...(curr[e.data.tgt_lang] || []), e.data.segment] }))
+                    setTranslationProgress({ completed: e.data.completed, total: e.data.total, language: e.data.tgt_lang })
                     break;
                 case 'complete':
+                    setTranslations(curr => ({ ...curr, [e.data.tgt_lang]: e.data.output }))
+                    onTranslationComplete(e.data.tgt_lang, e.data.output)
+                    break;
+                case 'finished':
                     setTranslating(false)
                     console.log("DONE")
                     break;
             }
         }
 
-        worker.current.addEventListener('message', onMessageReceived)
+        const translationWorker = worker.current
+        translationWorker.addEventListener('message', onMessageReceived)
+
+        return () => translationWorker.removeEventListener('message', onMessageReceived)
+    })
+
+    /**
+     * Effect hook to stop the translation worker when the results are closed, freeing its model
+     */
+    useEffect(() => {
+        return () => {
+            worker.current?.terminate()
+            worker.current = null
+        }
+    }, [])
+
+    /**
+     * Effect hook to set up and manage the summarization worker
+     * Handles worker messages for summarization progress and results
+     */
+    useEffect(() => {
+        if (!summaryWorker.current) {
+            summaryWorker.current = new Worker(new URL('../utils/summarize.worker.js', import.meta.url), {
+                type: 'module'
+            })
+        }
+
+        const onMessageReceived = (e) => {
+            if (e.data.job_id !== summaryJobId.current) { return }
+
+            if (e.data.type === MessageTypes.ERROR) {
+                setSummaryError(e.data.error)
+                setSummarizing(false)
+                return
+            }
+
+            switch (e.data.status) {
+                case 'initiate':
+                case 'progress':
+                case 'done':
+                    setSummaryDownloads(curr => updateDownloads(curr, e.data))
+                    break;
+                case 'update':
+                    setSummary({ summary: '', keyPoints: e.data.keyPoints })
+                    setSummaryProgress({ completed: e.data.completed, total: e.data.total })
+                    break;
+                case 'complete':
+                    setSummary({ summary: e.data.summary, keyPoints: e.data.keyPoints })
+                    setSummarizing(false)
+                    onSummaryComplete({ summary: e.data.summary, keyPoints: e.data.keyPoints })
+                    break;
+            }
+        }
+
+        const current = summaryWorker.current
+        current.addEventListener('message', onMessageReceived)
 
-        return () => worker.current.removeEventListener('message', onMessageReceived)
+        return () => current.removeEventListener('message', onMessageReceived)
     })
 
-    const textElement = tab === 'transcription' ? output.map(val => val.text) : translation || ''
+    /**
+     * Effect hook to stop the summarization worker when the results are closed, freeing its model
+     */
+    useEffect(() => {
+        return () => {
+            summaryWorker.current?.terminate()
+            summaryWorker.current = null
+        }
+    }, [])
+
+    /**
+     * NLLB code of the transcript text: the one picked by the user, English until then
+     * @type {string}
+     */
+    const sourceLanguage = chosenSource ?? 'eng_Latn'
+
+    /**
+     * NLLB code of the language Whisper detected, offered as the source language;
+     * null when Whisper translated to English or the language has no NLLB equivalent
+     * @type {string|null}
+     */
+    const detectedSource = task === WhisperTasks.TRANSLATE ? null : WHISPER_LANGUAGES[detectedLanguage] ?? null
+
+    /**
+     * Ids of the speakers in the transcript, when it was transcribed per channel
+     * @type {Array<string>}
+     */
+    const speakers = listSpeakers(segments)
+
+    /**
+     * The segments with the glossary applied, as used for translation
+     * @type {Array<Object>}
+     */
+    const corrected = useMemo(() => applyGlossary(segments, glossary), [segments, glossary])
+
+    /**
+     * The segments shown, copied and exported: corrected unless the raw text was asked for
+     * @type {Array<Object>}
+     */
+    const displayed = showRaw ? segments : corrected
+
+    /**
+     * The translation shown, searched, copied and exported
+     * @type {Array<Object>|null}
+     */
+    const translation = viewLanguage ? translations[viewLanguage] ?? null : null
+
+    const textElement = tab === 'transcription'
+        ? toTXT(labelSpeakers(displayed, speakerNames))
+        : tab === 'translation' ? toTXT(labelSpeakers(translation || [], speakerNames)) : (summary ? summaryToText(summary) : '')
+
+    /**
+     * Renames a speaker everywhere in the transcript and its exports
+     * @param {string} id - The speaker id
+     * @param {string} name - The new name, empty to go back to the default label
+     */
+    function setSpeakerName(id, name) {
+        const names = { ...speakerNames, [id]: name }
+        setSpeakerNames(names)
+        onSpeakersChange(names)
+    }
 
     /**
      * Copies the current text content to clipboard
@@ -69,62 +327,199 @@ export default function Information(props) {
     }
 
     /**
-     * Downloads the current text content as a .txt file
+     * Downloads the current tab in the chosen export format
+     * Translations keep the source timestamps, so they export to every format as well
+     * @param {string} format - One of ExportFormats
      */
-    function handleDownload() {
-        const element = document.createElement("a")
-        const file = new Blob([textElement], { type: 'text/plain' })
-        element.href = URL.createObjectURL(file)
-        element.download = `voxcribe_${new Date().toString()}.txt`
-        document.body.appendChild(element)
-        element.click()
+    function handleDownload(format) {
+        setShowExportMenu(false)
+
+        const isTranslation = tab !== 'transcription'
+        const content = serializeSegments(format, labelSpeakers(isTranslation ? translation || [] : displayed, speakerNames), {
+            source: fileName ?? null,
+            language: isTranslation ? viewLanguage : detectedLanguage,
+            task,
+            settings
+        })
+        downloadFile(content, getExportFileName(fileName, format, isTranslation ? viewLanguage : null), EXPORT_DETAILS[format].mimeType)
     }
 
     /**
      * Initiates the translation process using the worker
-     * Only proceeds if a target language is selected and not currently translating
+     * Every target language is translated in the same job, one after the other
+     * Only proceeds if at least one target language the model supports is selected and not currently translating
      */
     function generateTranslation() {
-        if (translating || toLanguage === 'Select language') {
+        if (translating || targetLanguages.length === 0 || !targetLanguages.every(code => supportsPair(translationModel, sourceLanguage, code))) {
             return
         }
 
+        translationJobId.current += 1
         setTranslating(true)
+        setTranslationError(null)
+        setTranslationDownloads({})
+        setTranslations(curr => ({ ...curr, ...Object.fromEntries(targetLanguages.map(code => [code, []])) }))
+        setTranslationProgress({ completed: 0, total: segments.length * targetLanguages.length, language: targetLanguages[0] })
+        if (!targetLanguages.includes(viewLanguage)) {
+            setViewLanguage(targetLanguages[0])
+        }
 
         worker.current.postMessage({
-            text: output.map(val => val.text),
-            src_lang: 'eng_Latn',
-            tgt_lang: toLanguage
+            job_id: translationJobId.current,
+            segments: corrected,
+            glossary: getProtectedTerms(glossary),
+            src_lang: sourceLanguage,
+            tgt_langs: targetLanguages,
+            model_name: translationModel
         })
     }
 
+    /**
+     * Starts summarizing the transcript, as corrected by the glossary
+     */
+    function generateSummary() {
+        if (summarizing || corrected.length === 0) {
+            return
+        }
+
+        summaryJobId.current += 1
+        setSummarizing(true)
+        setSummaryError(null)
+        setSummaryDownloads({})
+        setSummary(null)
+        setSummaryProgress(null)
+
+        summaryWorker.current.postMessage({
+            job_id: summaryJobId.current,
+            segments: corrected
+        })
+    }
+
+    /**
+     * Cancels the running summarization, keeping the key points found so far
+     */
+    function cancelSummary() {
+        summaryWorker.current.postMessage({
+            type: MessageTypes.CANCEL,
+            job_id: summaryJobId.current
+        })
+        summaryJobId.current += 1
+        setSummarizing(false)
+    }
+
+    /**
+     * Shows the transcript segment a key point came from and seeks the audio to it
+     * The segment is found by time, so the link survives edits made after summarizing;
+     * when no segment covers that time any more, only the audio is moved
+     * @param {{start: number, end: number}} source - Time span the key point came from
+     */
+    function handleSourceSelect(source) {
+        switchTab('transcription')
+        setEditing(false)
+        const index = findActiveSegment(displayed, source.start)
+        if (index === -1) {
+            handleSeek(source.start)
+            return
+        }
+        handleSearchSelect({ index, start: source.start })
+    }
+
+    /**
+     * Cancels the running translation, keeping the segments translated so far
+     */
+    function cancelTranslation() {
+        worker.current.postMessage({
+            type: MessageTypes.CANCEL,
+            job_id: translationJobId.current
+        })
+        translationJobId.current += 1
+        setTranslating(false)
+    }
+
     return (
         <main className='flex-1  p-4 flex flex-col gap-3 text-center sm:gap-4 justify-center pb-20 max-w-prose w-full mx-auto'>
             <h1 className='font-semibold text-4xl sm:text-5xl md:text-6xl whitespace-nowrap'>Your <span className='text-blue-400 bold'>Transcription</span></h1>
 
-            <div className='grid grid-cols-2 sm:mx-auto bg-white  rounded overflow-hidden items-center p-1 blueShadow border-[2px] border-solid border-blue-300'>
-                <button onClick={() => setTab('transcription')} className={'px-4 rounded duration-200 py-1 ' + (tab === 'transcription' ? ' bg-blue-300 text-white' : ' text-blue-400 hover:text-blue-600')}>Transcription</button>
-                <button onClick={() => setTab('translation')} className={'px-4 rounded duration-200 py-1  ' + (tab === 'translation' ? ' bg-blue-300 text-white' : ' text-blue-400 hover:text-blue-600')}>Translation</button>
+            {detectedLanguage && (
+                <p className='text-slate-400 capitalize'>{task === WhisperTasks.TRANSLATE ? `Translated from ${detectedLanguage}` : detectedLanguage}</p>
+            )}
+            <div className='grid grid-cols-3 sm:mx-auto bg-white  rounded overflow-hidden items-center p-1 blueShadow border-[2px] border-solid border-blue-300'>
+                <button onClick={() => switchTab('transcription')} className={'px-4 rounded duration-200 py-1 ' + (tab === 'transcription' ? ' bg-blue-300 text-white' : ' text-blue-400 hover:text-blue-600')}>Transcription</button>
+                <button onClick={() => switchTab('translation')} className={'px-4 rounded duration-200 py-1  ' + (tab === 'translation' ? ' bg-blue-300 text-white' : ' text-blue-400 hover:text-blue-600')}>Translation</button>
+                <button onClick={() => switchTab('summary')} className={'px-4 rounded duration-200 py-1  ' + (tab === 'summary' ? ' bg-blue-300 text-white' : ' text-blue-400 hover:text-blue-600')}>Summary</button>
             </div>
+            {audioSource && (
+                <audio ref={audioRef} className='w-full' controls onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)} onPlay={() => setPlaying(true)} onPause={() => setPlaying(false)}>
+                    Your browser does not support the audio element.
+                </audio>
+            )}
             <div className='my-8 flex flex-col-reverse max-w-prose w-full mx-auto gap-4'>
-                {(!finished || translating) && (
-                    <div className='grid place-items-center'>
+                {(!finished || translating || summarizing) && (
+                    <div className='flex flex-col items-center gap-2'>
                         <i className="fa-solid fa-spinner animate-spin"></i>
+                        <button onClick={!finished ? handleCancel : translating ? cancelTranslation : cancelSummary} className='text-slate-400 hover:text-blue-600 duration-200'>{!finished ? 'Cancel transcription' : translating ? 'Cancel translation' : 'Cancel summary'}</button>
                     </div>
                 )}
+                {(tab === 'translation' && translating && Object.values(translationDownloads).some(entry => !entry.done)) && (
+                    <DownloadProgress title='Downloading translation model' downloads={translationDownloads} />
+                )}
+                {(tab === 'translation' && translationError) && (
+                    <ErrorMessage error={translationError} actionLabel='Retry' onAction={generateTranslation} />
+                )}
+                {(tab === 'summary' && summarizing && Object.values(summaryDownloads).some(entry => !entry.done)) && (
+                    <DownloadProgress title='Downloading summarization model' downloads={summaryDownloads} />
+                )}
+                {(tab === 'summary' && summaryError) && (
+                    <ErrorMessage error={summaryError} actionLabel='Retry' onAction={generateSummary} />
+                )}
                 {tab === 'transcription' ? (
-                    <Transcription {...props} textElement={textElement} />
+                    editing ? (
+                        <TranscriptEditor speakerNames={speakerNames} segments={segments} setSegments={setSegments} undo={undo} redo={redo} canUndo={canUndo} canRedo={canRedo} handleSeek={handleSeek} />
+                    ) : (
+                        <Transcription {...props} speakerNames={speakerNames} output={displayed} focus={searchFocus} currentTime={currentTime} playing={playing} handleSeek={handleSeek} />
+                    )
+                ) : tab === 'translation' ? (
+                    <Translation {...props} sourceLanguage={sourceLanguage} detectedSource={detectedSource} setSourceLanguage={setChosenSource} speakerNames={speakerNames} translations={translations} sourceSegments={corrected} viewLanguage={viewLanguage} setViewLanguage={(code) => { setViewLanguage(code); setSearchFocus(null) }} targetLanguages={targetLanguages} setTargetLanguages={setTargetLanguages} comparing={comparing} setComparing={(value) => { setComparing(value); setSearchFocus(null) }} focus={searchFocus} translationProgress={translationProgress} currentTime={currentTime} handleSeek={handleSeek} translating={translating} generateTranslation={generateTranslation} />
                 ) : (
-                    <Translation {...props} toLanguage={toLanguage} translating={translating} textElement={textElement} setTranslating={setTranslating} setTranslation={setTranslation} setToLanguage={setToLanguage} generateTranslation={generateTranslation} />
+                    <Summary summary={summary} segments={displayed} summaryProgress={summaryProgress} summarizing={summarizing} generateSummary={generateSummary} onSourceSelect={handleSourceSelect} />
+                )}
+                {(tab === 'transcription' && speakers.length > 0) && (
+                    <SpeakerNames speakers={speakers} names={speakerNames} setSpeakerName={setSpeakerName} />
+                )}
+                {(tab === 'transcription' ? !editing && displayed.length > 0 : tab === 'translation' && translation?.length > 0) && (
+                    <TranscriptSearch segments={tab === 'transcription' ? displayed : translation} onSelect={handleSearchSelect} />
                 )}
             </div>
             <div className='flex items-center gap-4 mx-auto '>
+                {(tab === 'transcription' && finished) && (
+                    <button onClick={() => setEditing(!editing)} title={editing ? 'Done editing' : 'Edit'} className='bg-white  hover:text-blue-500 duration-200 text-blue-300 px-2 aspect-square grid place-items-center rounded'>
+                        <i className={'fa-solid ' + (editing ? 'fa-check' : 'fa-pen')}></i>
+                    </button>
+                )}
+                {(tab === 'transcription' && corrected !== segments) && (
+                    <button onClick={() => setShowRaw(!showRaw)} title={showRaw ? 'Apply glossary' : 'Show raw text'} className={'bg-white  hover:text-blue-500 duration-200 px-2 aspect-square grid place-items-center rounded ' + (showRaw ? 'text-slate-400' : 'text-blue-300')}>
+                        <i className="fa-solid fa-spell-check"></i>
+                    </button>
+                )}
                 <button onClick={handleCopy} title="Copy" className='bg-white  hover:text-blue-500 duration-200 text-blue-300 px-2 aspect-square grid place-items-center rounded'>
                     <i className="fa-solid fa-copy"></i>
                 </button>
-                <button onClick={handleDownload} title="Download" className='bg-white  hover:text-blue-500 duration-200 text-blue-300 px-2 aspect-square grid place-items-center rounded'>
-                    <i className="fa-solid fa-download"></i>
-                </button>
+                {tab !== 'summary' && (
+                    <div className='relative'>
+                        <button onClick={() => setShowExportMenu(!showExportMenu)} title="Download" className='bg-white  hover:text-blue-500 duration-200 text-blue-300 px-2 aspect-square grid place-items-center rounded'>
+                            <i className="fa-solid fa-download"></i>
+                        </button>
+                        {showExportMenu && (
+                            <div className='absolute bottom-full mb-2 left-1/2 -translate-x-1/2 bg-white rounded blueShadow border-[2px] border-solid border-blue-300 flex flex-col text-left whitespace-nowrap z-10'>
+                                {Object.entries(EXPORT_DETAILS).map(([format, { label }]) => {
+                                    return (
+                                        <button key={format} onClick={() => handleDownload(format)} className='px-3 py-1 text-blue-400 hover:text-blue-600 hover:bg-blue-50 duration-200 text-left'>{label}</button>
+                                    )
+                                })}
+                            </div>
+                        )}
+                    </div>
+                )}
             </div>
         </main>
     )
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { getLanguageName, rememberLanguage, togglePinned } from '../utils/languages'
+
+/**
+ * LanguagePicker Component
+ *
+ * Searchable combobox over a list of languages. Typing filters by name or NLLB code,
+ * the arrow keys and Enter pick a match, and Escape closes the list. Pinned and recently
+ * used languages are listed first; any language can be pinned from its row.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<string>} props.options - NLLB codes of the languages that can be picked
+ * @param {string|null} props.value - NLLB code of the selected language, null to show the placeholder
+ * @param {Function} props.onSelect - Called with the NLLB code of the picked language
+ * @param {string} [props.placeholder] - Text shown when nothing is selected
+ * @param {{pinned: Array<string>, recent: Array<string>}} props.preferences - Pinned and recently used languages
+ * @param {Function} props.setPreferences - Function to update and save the pinned and recent languages
+ * @returns {JSX.Element} Search box with the matching languages below it
+ */
+export default function LanguagePicker(props) {
+    const { options, value, onSelect, placeholder, preferences, setPreferences } = props
+    const [query, setQuery] = useState('')
+    const [open, setOpen] = useState(false)
+    const [highlighted, setHighlighted] = useState(0)
+    const listRef = useRef()
+
+    const groups = groupLanguages(options, query, preferences)
+    const matches = groups.flatMap(group => group.codes)
+
+    /**
+     * Effect hook to keep the highlighted row visible while moving through the list with the keyboard
+     */
+    useEffect(() => {
+        listRef.current?.querySelector('[aria-selected=true]')?.scrollIntoView({ block: 'nearest' })
+    }, [highlighted])
+
+    /**
+     * Picks a language and remembers it as recently used
+     * @param {string} code - NLLB code of the language
+     */
+    function select(code) {
+        onSelect(code)
+        setPreferences(rememberLanguage(preferences, code))
+        setQuery('')
+        setOpen(false)
+    }
+
+    /**
+     * Keyboard navigation through the matches
+     * @param {KeyboardEvent} e
+     */
+    function handleKeyDown(e) {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault()
+            setOpen(true)
+            setHighlighted(Math.min(highlighted + 1, matches.length - 1))
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault()
+            setHighlighted(Math.max(highlighted - 1, 0))
+        } else if (e.key === 'Enter' && open && matches[highlighted]) {
+            e.preventDefault()
+            select(matches[highlighted])
+        } else if (e.key === 'Escape') {
+            setQuery('')
+            setOpen(false)
+        }
+    }
+
+    return (
+        <div className='relative flex-1'>
+            <input value={open ? query : (value ? getLanguageName(value) : '')} placeholder={placeholder}
+                role='combobox' aria-expanded={open}
+                onFocus={() => { setOpen(true); setHighlighted(0) }}
+                onBlur={() => { setOpen(false); setQuery('') }}
+                onChange={(e) => { setQuery(e.target.value); setHighlighted(0); setOpen(true) }}
+                onKeyDown={handleKeyDown}
+                className='outline-none w-full focus:outline-none bg-white duration-200 p-2 rounded' />
+            {open && (
+                <div ref={listRef} role='listbox' className='absolute top-full mt-1 left-0 right-0 max-h-60 overflow-y-auto bg-white rounded blueShadow border-[2px] border-solid border-blue-300 flex flex-col text-left z-10'>
+                    {matches.length === 0 && (
+                        <p className='text-sm text-slate-400 px-3 py-1'>No matching language</p>
+                    )}
+                    {groups.map(group => {
+                        return (
+                            <React.Fragment key={group.label}>
+                                <p className='text-xs font-medium text-slate-400 px-3 pt-2 pb-1'>{group.label}</p>
+                                {group.codes.map(code => {
+                                    const index = matches.indexOf(code)
+                                    const pinned = preferences.pinned.includes(code)
+                                    return (
+                                        <div key={code} role='option' aria-selected={index === highlighted}
+                                            onMouseDown={(e) => { e.preventDefault(); select(code) }}
+                                            onMouseEnter={() => setHighlighted(index)}
+                                            className={'flex items-center gap-2 px-3 py-1 cursor-pointer duration-200 ' + (index === highlighted ? 'bg-blue-50 text-blue-600' : '') + (code === value ? ' font-medium' : '')}>
+                                            <span className='flex-1'>{getLanguageName(code)}</span>
+                                            <button onMouseDown={(e) => { e.preventDefault(); e.stopPropagation(); setPreferences(togglePinned(preferences, code)) }}
+                                                title={pinned ? 'Unpin' : 'Pin'} className={'text-xs duration-200 ' + (pinned ? 'text-blue-400' : 'text-slate-300 hover:text-blue-400')}>
+                                                <i className="fa-solid fa-thumbtack"></i>
+                                            </button>
+                                        </div>
+                                    )
+                                })}
+                            </React.Fragment>
+                        )
+                    })}
+                </div>
+            )}
+        </div>
+    )
+}
+
+/**
+ * Splits the languages matching a search into pinned, recent and other ones
+ * @param {Array<string>} options - NLLB codes of the languages that can be picked
+ * @param {string} query - The text typed in the search box
+ * @param {{pinned: Array<string>, recent: Array<string>}} preferences - Pinned and recently used languages
+ * @returns {Array<{label: string, codes: Array<string>}>} The non-empty groups, in display order
+ */
+function groupLanguages(options, query, preferences) {
+    const text = query.trim().toLowerCase()
+    const matching = options.filter(code => !text || getLanguageName(code).toLowerCase().includes(text) || code.toLowerCase().startsWith(text))
+    const pinned = preferences.pinned.filter(code => matching.includes(code))
+    const recent = preferences.recent.filter(code => matching.includes(code) && !pinned.includes(code))
+    const others = matching.filter(code => !pinned.includes(code) && !recent.includes(code))
+
+    return [
+        { label: 'Pinned', codes: pinned },
+        { label: 'Recent', codes: recent },
+        { label: text ? 'Matches' : 'All languages', codes: others }
+    ].filter(group => group.codes.length > 0)
+}
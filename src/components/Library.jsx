@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react'
+import ErrorMessage from './ErrorMessage'
+import { listTranscripts, updateTranscript, deleteTranscript } from '../utils/db'
+import { MODEL_DETAILS, ErrorCodes } from '../utils/presets'
+import { serializeError } from '../utils/errors'
+import { EXPORT_DETAILS, serializeSegments, getExportFileName, downloadFile } from '../utils/exporters'
+import { formatClock } from '../utils/time'
+import { labelSpeakers } from '../utils/speakers'
+import { loadGlossary, applyGlossary } from '../utils/glossary'
+
+/**
+ * Checks whether a saved transcript matches a search query
+ * The title and the transcript text are searched, ignoring case
+ * @param {Object} record - The saved transcript
+ * @param {string} query - The search query
+ * @returns {boolean}
+ */
+function matchesQuery(record, query) {
+    const needle = query.trim().toLowerCase()
+    if (!needle) { return true }
+    if (record.title.toLowerCase().includes(needle)) { return true }
+    return record.segments.some(segment => segment.text.toLowerCase().includes(needle))
+}
+
+/**
+ * Library Component
+ *
+ * Lists the transcripts saved in the browser, newest first. Each entry can be reopened
+ * in the results view, renamed, exported directly or deleted, and the list can be
+ * searched by title or transcript text.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Function} props.openTranscript - Called with a saved record to show it in the results view
+ * @param {Function} props.onRecordChange - Called with the updated record after a rename
+ * @param {Function} props.onRecordDelete - Called with the id of a deleted record
+ * @param {Function} props.onClose - Callback to leave the library
+ * @returns {JSX.Element} Searchable list of saved transcripts
+ */
+export default function Library(props) {
+    const { openTranscript, onRecordChange, onRecordDelete, onClose } = props
+    const [records, setRecords] = useState(null)
+    const [query, setQuery] = useState('')
+    const [loadError, setLoadError] = useState(null)
+
+    /**
+     * Effect hook to load the saved transcripts when the library opens
+     */
+    useEffect(() => {
+        let cancelled = false
+        listTranscripts()
+            .then(list => { if (!cancelled) { setRecords(list) } })
+            .catch(err => {
+                if (cancelled) { return }
+                setLoadError(serializeError(err, ErrorCodes.STORAGE))
+                setRecords([])
+            })
+        return () => { cancelled = true }
+    }, [])
+
+    /**
+     * Renames a saved transcript
+     * @param {number} id - The record id
+     * @param {string} title - The new title
+     */
+    async function handleRename(id, title) {
+        const updated = await updateTranscript(id, { title })
+        if (!updated) { return }
+        setRecords(curr => curr.map(record => record.id === id ? updated : record))
+        onRecordChange(updated)
+    }
+
+    /**
+     * Deletes a saved transcript after confirmation
+     * @param {Object} record - The record to delete
+     */
+    async function handleDelete(record) {
+        if (!window.confirm(`Delete "${record.title}"? This cannot be undone.`)) { return }
+        await deleteTranscript(record.id)
+        setRecords(curr => curr.filter(entry => entry.id !== record.id))
+        onRecordDelete(record.id)
+    }
+
+    /**
+     * Exports a saved transcript without opening it
+     * @param {Object} record - The record to export
+     * @param {string} format - One of ExportFormats
+     */
+    function handleExport(record, format) {
+        const content = serializeSegments(format, labelSpeakers(applyGlossary(record.segments, loadGlossary()), record.speakers), {
+            source: record.title,
+            language: record.language,
+            task: record.task,
+            settings: record.settings
+        })
+        downloadFile(content, getExportFileName(record.title, format), EXPORT_DETAILS[format].mimeType)
+    }
+
+    const visible = (records || []).filter(record => matchesQuery(record, query))
+
+    return (
+        <main className='flex-1 p-4 flex flex-col gap-3 sm:gap-4 pb-20 max-w-prose w-full mx-auto'>
+            <h1 className='font-semibold text-4xl sm:text-5xl md:text-6xl text-center'>Your <span className='text-blue-400 bold'>Library</span></h1>
+            <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder='Search titles and transcripts'
+                className='outline-none bg-white rounded p-2 w-full' />
+
+            {loadError && (
+                <ErrorMessage error={loadError} />
+            )}
+            {records === null ? (
+                <i className="fa-solid fa-spinner animate-spin mx-auto"></i>
+            ) : visible.length === 0 ? (
+                <p className='text-center text-slate-400'>{records.length === 0 ? 'Finished transcriptions are saved here.' : 'No transcripts match your search.'}</p>
+            ) : (
+                <div className='flex flex-col gap-2'>
+                    {visible.map(record => {
+                        return (
+                            <LibraryEntry key={record.id} record={record}
+                                onOpen={() => openTranscript(record)}
+                                onRename={(title) => handleRename(record.id, title)}
+                                onExport={(format) => handleExport(record, format)}
+                                onDelete={() => handleDelete(record)} />
+                        )
+                    })}
+                </div>
+            )}
+
+            <button onClick={onClose} className='text-slate-400 hover:text-blue-600 duration-200 mx-auto'>Back</button>
+        </main>
+    )
+}
+
+/**
+ * Row of the library for a single saved transcript
+ * The title is edited as a local draft and saved on blur or Enter
+ *
+ * @param {Object} props
+ * @param {Object} props.record - The saved transcript
+ * @param {Function} props.onOpen - Opens the transcript in the results view
+ * @param {Function} props.onRename - Saves a new title
+ * @param {Function} props.onExport - Exports the transcript in a format
+ * @param {Function} props.onDelete - Deletes the transcript
+ * @returns {JSX.Element} Library entry
+ */
+function LibraryEntry(props) {
+    const { record, onOpen, onRename, onExport, onDelete } = props
+    const [renaming, setRenaming] = useState(false)
+    const [draft, setDraft] = useState(record.title)
+
+    const duration = record.segments.length > 0 ? record.segments[record.segments.length - 1].end : 0
+
+    function commitRename() {
+        setRenaming(false)
+        const title = draft.trim()
+        if (title && title !== record.title) {
+            onRename(title)
+        } else {
+            setDraft(record.title)
+        }
+    }
+
+    return (
+        <div className='flex flex-col gap-1 bg-white rounded p-3'>
+            <div className='flex items-center gap-2'>
+                {renaming ? (
+                    <input autoFocus value={draft} onChange={(e) => setDraft(e.target.value)} onBlur={commitRename}
+                        onKeyDown={(e) => { if (e.key === 'Enter') { e.target.blur() } }}
+                        className='flex-1 outline-none border-b border-blue-300 font-medium' />
+                ) : (
+                    <button onClick={onOpen} className='flex-1 text-left font-medium truncate hover:text-blue-500 duration-200'>{record.title}</button>
+                )}
+                <button onClick={() => setRenaming(true)} title='Rename' className='text-blue-300 hover:text-blue-500 duration-200'>
+                    <i className="fa-solid fa-pen"></i>
+                </button>
+                <select value='' onChange={(e) => onExport(e.target.value)} title='Export' className='outline-none bg-transparent text-blue-400 text-xs w-20'>
+                    <option value='' disabled>Export</option>
+                    {Object.entries(EXPORT_DETAILS).map(([format, { label }]) => {
+                        return (
+                            <option key={format} value={format}>{label}</option>
+                        )
+                    })}
+                </select>
+                <button onClick={onDelete} title='Delete' className='text-slate-400 hover:text-rose-400 duration-200'>
+                    <i className="fa-solid fa-trash"></i>
+                </button>
+            </div>
+            <p className='text-xs text-slate-400'>
+                {new Date(record.createdAt).toLocaleString()} · {formatClock(duration)} · {MODEL_DETAILS[record.modelName]?.label ?? record.modelName}
+                {record.language && <span className='capitalize'> · {record.language}</span>}
+                {Object.keys(record.translations).length > 0 && ` · ${Object.keys(record.translations).length} translation${Object.keys(record.translations).length > 1 ? 's' : ''}`}
+            </p>
+        </div>
+    )
+}
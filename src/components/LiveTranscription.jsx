@@ -0,0 +1,308 @@
+import React, { useState, useEffect, useRef } from 'react'
+import ErrorMessage from './ErrorMessage'
+import { MessageTypes, ErrorCodes } from '../utils/presets'
+import { serializeError } from '../utils/errors'
+import { startCapture, concatSamples, resample, encodeWAV, SAMPLING_RATE } from '../utils/liveAudio'
+import { splitStableSegments, reindexSegments, LIVE_STABILITY_MARGIN, LIVE_MAX_WINDOW } from '../utils/segments'
+import { formatClock } from '../utils/time'
+
+/**
+ * Minimum amount of new audio, in seconds, before another window is transcribed
+ * @type {number}
+ */
+const MIN_NEW_AUDIO = 1
+
+/**
+ * LiveTranscription Component
+ *
+ * Transcribes the microphone while the person is still talking. Audio is captured at the
+ * device rate, resampled to 16 kHz and sent to the Whisper worker in rolling windows that
+ * start where the last finalised segment ended. Finalised segments never change; the rest
+ * of the window and the worker's partial results are shown as tentative text.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Worker} props.worker - The Whisper worker shared with file transcription
+ * @param {string} props.modelName - The Whisper model to transcribe with
+ * @param {string|null} props.language - The spoken language, null to auto-detect it
+ * @param {string} props.task - The Whisper task, either transcribe or translate
+ * @param {Function} props.onFinish - Called with the final segments and a WAV recording when the user stops
+ * @param {Function} props.onCancel - Called when the user discards the live session
+ * @returns {JSX.Element} Live transcript with recording controls
+ */
+export default function LiveTranscription(props) {
+    const { worker, modelName, language, task, onFinish, onCancel } = props
+
+    const [committed, setCommitted] = useState([])
+    const [tentative, setTentative] = useState([])
+    const [partial, setPartial] = useState('')
+    const [elapsed, setElapsed] = useState(0)
+    const [stopping, setStopping] = useState(false)
+    const [error, setError] = useState(null)
+
+    const capture = useRef(null)
+    const stream = useRef(null)
+    const blocks = useRef([])
+    const sampleCount = useRef(0)
+    const committedSegments = useRef([])
+    const committedUntil = useRef(0)
+    const pendingWindow = useRef(null)
+    const jobCounter = useRef(0)
+    const stopRequested = useRef(false)
+
+    /**
+     * Length of the captured audio in seconds
+     * @returns {number}
+     */
+    function recordedSeconds() {
+        return capture.current ? sampleCount.current / capture.current.sampleRate : 0
+    }
+
+    /**
+     * The captured samples from a position onwards
+     * Only the blocks holding them are copied, so each window costs the same however long the session runs
+     * @param {number} startSample - Position of the first sample, at the capture sample rate
+     * @returns {Float32Array}
+     */
+    function samplesFrom(startSample) {
+        let first = blocks.current.length
+        let firstSample = sampleCount.current
+        while (first > 0 && firstSample > startSample) {
+            first -= 1
+            firstSample -= blocks.current[first].length
+        }
+        return concatSamples(blocks.current.slice(first)).subarray(startSample - firstSample)
+    }
+
+    /**
+     * Sends the audio recorded since the last finalised segment to the worker
+     * @param {boolean} final - Whether this is the last window of the recording
+     */
+    function sendWindow(final) {
+        const { sampleRate } = capture.current
+        const startSample = Math.floor(committedUntil.current * sampleRate)
+        const audio = resample(samplesFrom(startSample), sampleRate, SAMPLING_RATE)
+
+        jobCounter.current += 1
+        pendingWindow.current = {
+            job_id: `live-${jobCounter.current}`,
+            offset: committedUntil.current,
+            duration: audio.length / SAMPLING_RATE,
+            final
+        }
+
+        worker.postMessage({
+            type: MessageTypes.INFERENCE_REQUEST,
+            job_id: pendingWindow.current.job_id,
+            audio,
+            model_name: modelName,
+            language,
+            task,
+            offset: committedUntil.current
+        })
+    }
+
+    /**
+     * Finalises the stable segments of a window and keeps the rest as tentative
+     * @param {Array<Object>} results - Segments of the window, with absolute timestamps
+     */
+    function handleWindowResult(results) {
+        const { offset, duration, final } = pendingWindow.current
+        const windowEnd = offset + duration
+        const { stable, tentative } = splitStableSegments(results, windowEnd, duration, final)
+
+        if (stable.length > 0) {
+            committedSegments.current = reindexSegments([...committedSegments.current, ...stable])
+            committedUntil.current = stable[stable.length - 1].end
+            setCommitted(committedSegments.current)
+        } else if (duration > LIVE_MAX_WINDOW) {
+            // Nothing was said in a long window: skip ahead so the next one stays short
+            committedUntil.current = windowEnd - LIVE_STABILITY_MARGIN
+        }
+
+        setTentative(tentative)
+        setPartial('')
+    }
+
+    /**
+     * Hands the finished transcript and recording over to the results view
+     */
+    function finish() {
+        if (!capture.current) {
+            onCancel()
+            return
+        }
+
+        const { sampleRate } = capture.current
+        const recording = encodeWAV(resample(concatSamples(blocks.current), sampleRate, SAMPLING_RATE))
+        stopCapture()
+        onFinish(committedSegments.current, recording)
+    }
+
+    /**
+     * Stops the microphone and the audio graph
+     */
+    function stopCapture() {
+        capture.current?.stop()
+        stream.current?.getTracks().forEach(track => track.stop())
+    }
+
+    /**
+     * Stops recording; the remaining audio is transcribed once the current window is done
+     */
+    function handleStop() {
+        stopRequested.current = true
+        setStopping(true)
+        stopCapture()
+
+        if (!pendingWindow.current) {
+            if (recordedSeconds() - committedUntil.current > 0.5) {
+                sendWindow(true)
+            } else {
+                finish()
+            }
+        }
+    }
+
+    /**
+     * Discards the live session, cancelling the window being transcribed
+     */
+    function handleCancel() {
+        if (pendingWindow.current) {
+            worker.postMessage({ type: MessageTypes.CANCEL, job_id: pendingWindow.current.job_id })
+        }
+        stopCapture()
+        onCancel()
+    }
+
+    /**
+     * Effect hook to open the microphone and start capturing when the component mounts
+     */
+    useEffect(() => {
+        let cancelled = false
+        let localStream = null
+        let handle = null
+
+        async function start() {
+            try {
+                localStream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false })
+                if (cancelled) { return }
+                handle = await startCapture(localStream, (block) => {
+                    blocks.current.push(block)
+                    sampleCount.current += block.length
+                })
+                if (cancelled) { return }
+                stream.current = localStream
+                capture.current = handle
+            } catch (err) {
+                setError(serializeError(err, ErrorCodes.MICROPHONE))
+            }
+        }
+
+        start().then(() => {
+            if (!cancelled) { return }
+            handle?.stop()
+            localStream?.getTracks().forEach(track => track.stop())
+        })
+
+        return () => {
+            cancelled = true
+            handle?.stop()
+            localStream?.getTracks().forEach(track => track.stop())
+        }
+    }, [])
+
+    /**
+     * Effect hook that sends a new window whenever the worker is idle and enough audio arrived
+     */
+    useEffect(() => {
+        const interval = setInterval(() => {
+            if (!capture.current || stopRequested.current) { return }
+            setElapsed(recordedSeconds())
+
+            if (!pendingWindow.current && recordedSeconds() - committedUntil.current >= MIN_NEW_AUDIO) {
+                sendWindow(false)
+            }
+        }, 500)
+
+        return () => clearInterval(interval)
+    })
+
+    /**
+     * Effect hook to receive window results from the worker
+     */
+    useEffect(() => {
+        const onMessageReceived = (e) => {
+            if (!pendingWindow.current || e.data.job_id !== pendingWindow.current.job_id) { return }
+
+            switch (e.data.type) {
+                case MessageTypes.RESULT_PARTIAL:
+                    setPartial(e.data.result.text)
+                    break;
+                case MessageTypes.RESULT:
+                    handleWindowResult(e.data.results)
+                    break;
+                case MessageTypes.INFERENCE_DONE: {
+                    const wasFinal = pendingWindow.current.final
+                    pendingWindow.current = null
+                    if (wasFinal) {
+                        finish()
+                    } else if (stopRequested.current) {
+                        sendWindow(true)
+                    }
+                    break;
+                }
+                case MessageTypes.ERROR:
+                    pendingWindow.current = null
+                    stopCapture()
+                    setError(e.data.error)
+                    break;
+            }
+        }
+
+        worker.addEventListener('message', onMessageReceived)
+
+        return () => worker.removeEventListener('message', onMessageReceived)
+    })
+
+    if (error) {
+        return (
+            <main className='flex-1 p-4 flex flex-col gap-3 justify-center pb-20 w-full max-w-prose mx-auto'>
+                <ErrorMessage error={error} actionLabel='Back' onAction={onCancel} />
+            </main>
+        )
+    }
+
+    return (
+        <main className='flex-1 p-4 flex flex-col gap-3 text-center sm:gap-4 justify-center pb-20 max-w-prose w-full mx-auto'>
+            <h1 className='font-semibold text-4xl sm:text-5xl md:text-6xl'>Live <span className='text-blue-400 bold'>Transcription</span></h1>
+            <p className='text-slate-400 tabular-nums'>
+                <i className={"fa-solid fa-circle text-xs mr-2 " + (stopping ? 'text-slate-300' : 'text-rose-300 animate-pulse')}></i>
+                {stopping ? 'Finishing up' : 'Listening'} · {formatClock(elapsed)}
+            </p>
+            <div className='my-4 text-left flex flex-col gap-1 max-h-[50vh] overflow-y-auto'>
+                {committed.map(segment => {
+                    return (
+                        <p key={segment.index} className='flex gap-3'>
+                            <span className='text-xs text-blue-400 whitespace-nowrap pt-1 tabular-nums'>{formatClock(segment.start)}</span>
+                            <span>{segment.text}</span>
+                        </p>
+                    )
+                })}
+                {(tentative.length > 0 || partial) && (
+                    <p className='text-slate-400 italic'>{partial || tentative.map(segment => segment.text).join(' ')}</p>
+                )}
+                {(committed.length === 0 && tentative.length === 0 && !partial) && (
+                    <p className='text-slate-400 text-center'>Start talking, your words will appear here.</p>
+                )}
+            </div>
+            <div className='flex items-center justify-between gap-4'>
+                <button onClick={handleCancel} className='text-slate-400 hover:text-blue-600 duration-200'>Discard</button>
+                <button onClick={handleStop} disabled={stopping} className='specialBtn px-3 p-2 rounded-lg text-blue-400 flex items-center gap-2 font-medium disabled:opacity-50'>
+                    <p>Stop</p>
+                    <i className="fa-solid fa-stop"></i>
+                </button>
+            </div>
+        </main>
+    )
+}
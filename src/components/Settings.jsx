@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import DownloadProgress from './DownloadProgress'
+import ErrorMessage from './ErrorMessage'
+import Glossary from './Glossary'
+import { MessageTypes, MODEL_DETAILS, TRANSLATION_MODEL_DETAILS, SUMMARIZATION_MODEL_DETAILS } from '../utils/presets'
+import { listCachedModels, deleteCachedModel, getStorageStatus, requestPersistentStorage } from '../utils/modelCache'
+import { updateDownloads, formatBytes } from '../utils/progress'
+
+/**
+ * Settings Component
+ *
+ * Offline model management. Lists every Whisper, translation and summarization model with the space
+ * it takes in the browser cache, and lets users download a model ahead of time or delete it.
+ * Downloads run in a short-lived worker that is terminated once the model is cached,
+ * so pre-downloading does not keep the model in memory. The transcript glossary is managed
+ * here as well.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Function} props.onClose - Callback to leave the settings screen
+ * @returns {JSX.Element} Model cache and glossary management screen
+ */
+export default function Settings(props) {
+    const { onClose } = props
+    const [cached, setCached] = useState({})
+    const [storage, setStorage] = useState(null)
+    const [downloads, setDownloads] = useState({})
+    const [errors, setErrors] = useState({})
+
+    const workers = useRef({})
+
+    /**
+     * Re-reads the cached models and storage usage
+     */
+    const refresh = useCallback(async () => {
+        setCached(await listCachedModels())
+        setStorage(await getStorageStatus())
+    }, [])
+
+    useEffect(() => {
+        refresh()
+    }, [refresh])
+
+    /**
+     * Effect hook to stop any download still running when the screen closes
+     */
+    useEffect(() => {
+        const running = workers.current
+        return () => Object.values(running).forEach(worker => worker.terminate())
+    }, [])
+
+    /**
+     * Downloads a model into the browser cache using a dedicated worker
+     * @param {string} model - The model id
+     * @param {string} kind - Which worker loads the model: 'whisper', 'translation' or 'summarization'
+     */
+    function handleDownload(model, kind) {
+        if (workers.current[model]) { return }
+
+        const worker = createWorker(kind)
+        workers.current[model] = worker
+
+        const finish = () => {
+            worker.terminate()
+            delete workers.current[model]
+            setDownloads(curr => {
+                const next = { ...curr }
+                delete next[model]
+                return next
+            })
+            refresh()
+        }
+
+        worker.addEventListener('message', (e) => {
+            switch (e.data.type ?? e.data.status) {
+                case MessageTypes.DOWNLOADING:
+                case 'initiate':
+                case 'progress':
+                case 'done':
+                    setDownloads(curr => ({ ...curr, [model]: updateDownloads(curr[model] ?? {}, e.data) }))
+                    break;
+                case MessageTypes.MODEL_READY:
+                    finish()
+                    break;
+                case MessageTypes.ERROR:
+                    setErrors(curr => ({ ...curr, [model]: e.data.error }))
+                    finish()
+                    break;
+            }
+        })
+
+        setErrors(curr => ({ ...curr, [model]: null }))
+        setDownloads(curr => ({ ...curr, [model]: {} }))
+        worker.postMessage({ type: MessageTypes.LOAD_MODEL, job_id: 1, model_name: model })
+    }
+
+    /**
+     * Removes a model from the browser cache
+     * @param {string} model - The model id
+     */
+    async function handleDelete(model) {
+        await deleteCachedModel(model)
+        refresh()
+    }
+
+    /**
+     * Asks the browser not to evict downloaded models
+     */
+    async function handlePersist() {
+        await requestPersistentStorage()
+        refresh()
+    }
+
+    const models = [
+        ...Object.entries(MODEL_DETAILS).map(([model, details]) => ({ model, ...details, kind: 'whisper' })),
+        ...Object.entries(TRANSLATION_MODEL_DETAILS).map(([model, details]) => ({ model, ...details, kind: 'translation' })),
+        ...Object.entries(SUMMARIZATION_MODEL_DETAILS).map(([model, details]) => ({ model, ...details, kind: 'summarization' }))
+    ]
+
+    return (
+        <main className='flex-1 p-4 flex flex-col gap-3 sm:gap-4 pb-20 max-w-prose w-full mx-auto'>
+            <h1 className='font-semibold text-4xl sm:text-5xl md:text-6xl text-center'>Offline <span className='text-blue-400 bold'>Models</span></h1>
+            <p className='text-center text-slate-500'>Downloaded models stay on this device, so VoxCribe keeps working without a connection.</p>
+
+            {storage && (
+                <div className='flex items-center justify-between gap-4 bg-white rounded p-3 text-sm'>
+                    <p>
+                        {formatBytes(storage.usage)} used{storage.quota ? ` of ${formatBytes(storage.quota)}` : ''}
+                        <span className='text-slate-400'> · {storage.persisted ? 'persistent storage' : 'may be cleared by the browser'}</span>
+                    </p>
+                    {!storage.persisted && (
+                        <button onClick={handlePersist} className='text-blue-400 hover:text-blue-600 duration-200 whitespace-nowrap'>Keep models</button>
+                    )}
+                </div>
+            )}
+
+            <div className='flex flex-col gap-2'>
+                {models.map(({ model, label, size, kind }) => {
+                    const entry = cached[model]
+                    const downloading = downloads[model] !== undefined
+                    return (
+                        <div key={model} className='flex flex-col gap-2 bg-white rounded p-3'>
+                            <div className='flex items-center justify-between gap-4'>
+                                <div className='flex flex-col'>
+                                    <p className='font-medium'>{label}</p>
+                                    <p className='text-xs text-slate-400'>{model} · {entry ? `${formatBytes(entry.size)} cached` : `${size}, not downloaded`}</p>
+                                </div>
+                                {downloading ? (
+                                    <i className="fa-solid fa-spinner animate-spin text-blue-400"></i>
+                                ) : entry ? (
+                                    <button onClick={() => handleDelete(model)} title='Delete' className='text-slate-400 hover:text-rose-400 duration-200'>
+                                        <i className="fa-solid fa-trash"></i>
+                                    </button>
+                                ) : (
+                                    <button onClick={() => handleDownload(model, kind)} title='Download' className='text-blue-300 hover:text-blue-500 duration-200'>
+                                        <i className="fa-solid fa-download"></i>
+                                    </button>
+                                )}
+                            </div>
+                            {downloading && (
+                                <DownloadProgress title='Downloading' downloads={downloads[model]} />
+                            )}
+                            {errors[model] && (
+                                <ErrorMessage error={errors[model]} actionLabel='Retry' onAction={() => handleDownload(model, kind)} />
+                            )}
+                        </div>
+                    )
+                })}
+            </div>
+
+            <Glossary />
+
+            <button onClick={onClose} className='text-slate-400 hover:text-blue-600 duration-200 mx-auto'>Back</button>
+        </main>
+    )
+}
+
+/**
+ * Starts the worker that loads a kind of model
+ * Each URL is spelled out so the bundler picks up every worker
+ * @param {string} kind - 'whisper', 'translation' or 'summarization'
+ * @returns {Worker}
+ */
+function createWorker(kind) {
+    switch (kind) {
+        case 'translation':
+            return new Worker(new URL('../utils/translate.worker.js', import.meta.url), { type: 'module' })
+        case 'summarization':
+            return new Worker(new URL('../utils/summarize.worker.js', import.meta.url), { type: 'module' })
+        default:
+            return new Worker(new URL('../utils/whisper.worker.js', import.meta.url), { type: 'module' })
+    }
+}
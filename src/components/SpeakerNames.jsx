@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react'
+import { getSpeakerColor } from '../utils/speakers'
+
+/**
+ * SpeakerNames Component
+ *
+ * Lets users rename the speakers of a transcript, e.g. "Speaker A" to "Agent".
+ * Names apply to the transcript, the translation and every export.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<string>} props.speakers - Ids of the speakers in the transcript
+ * @param {Object<string, string>} props.names - Names chosen so far, keyed by speaker id
+ * @param {Function} props.setSpeakerName - Called with a speaker id and its new name
+ * @returns {JSX.Element} One name input per speaker
+ */
+export default function SpeakerNames(props) {
+    const { speakers, names, setSpeakerName } = props
+
+    return (
+        <div className='flex flex-wrap items-center gap-2 justify-center'>
+            {speakers.map(id => {
+                return (
+                    <SpeakerInput key={id} id={id} name={names[id] ?? ''} onRename={(name) => setSpeakerName(id, name)} />
+                )
+            })}
+        </div>
+    )
+}
+
+/**
+ * Name input for a single speaker
+ * The name is edited as a local draft and committed on blur or Enter,
+ * so the saved transcript is not rewritten on every keystroke
+ *
+ * @param {Object} props
+ * @param {string} props.id - The speaker id
+ * @param {string} props.name - The current name, empty for the default label
+ * @param {Function} props.onRename - Commits the new name
+ * @returns {JSX.Element} Speaker name input
+ */
+function SpeakerInput(props) {
+    const { id, name, onRename } = props
+    const [draft, setDraft] = useState(name)
+
+    useEffect(() => {
+        setDraft(name)
+    }, [name])
+
+    function commitDraft() {
+        if (draft.trim() !== name) {
+            onRename(draft.trim())
+        }
+    }
+
+    return (
+        <label className='flex items-center gap-2 bg-white rounded px-2 py-1 text-sm'>
+            <i className={'fa-solid fa-user ' + getSpeakerColor(id)}></i>
+            <input value={draft} placeholder={`Speaker ${id}`} onChange={(e) => setDraft(e.target.value)} onBlur={commitDraft}
+                onKeyDown={(e) => { if (e.key === 'Enter') { e.target.blur() } }}
+                className='outline-none w-28 bg-transparent' />
+        </label>
+    )
+}
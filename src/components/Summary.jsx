@@ -0,0 +1,64 @@
+import React from 'react'
+import { formatClock } from '../utils/time'
+import { resolveSources } from '../utils/summary'
+
+/**
+ * Summary Component
+ *
+ * Summarizes the transcript with a local model: a short summary followed by the key points,
+ * each with the timestamps of the segments it came from. Key points appear as the chunks of
+ * the transcript are summarized, and the overall summary once every chunk is done.
+ *
+ * @component
+ * @param {Object} props
+ * @param {{summary: string, keyPoints: Array<{text: string, sources: Array<{start: number, end: number}>}>}|null} props.summary - The summary and its key points
+ * @param {Array<{start: number, end: number}>} props.segments - The transcript segments, for summaries saved with segment indices as sources
+ * @param {{completed: number, total: number}|null} props.summaryProgress - Number of summarization steps done so far
+ * @param {boolean} props.summarizing - Whether summarization is in progress
+ * @param {Function} props.generateSummary - Function to trigger summarization
+ * @param {Function} props.onSourceSelect - Called with the time span a key point links to
+ * @returns {JSX.Element} Summary, key points and the button to summarize
+ */
+export default function Summary(props) {
+    const { summary, segments, summaryProgress, summarizing, generateSummary, onSourceSelect } = props
+
+    return (
+        <>
+            {summary?.keyPoints.length > 0 && (
+                <div className='flex flex-col gap-1 text-left'>
+                    <p className='text-xs sm:text-sm font-medium text-slate-500'>Key points</p>
+                    <ul className='flex flex-col gap-1 list-disc pl-5'>
+                        {summary.keyPoints.map((point, i) => {
+                            return (
+                                <li key={i}>
+                                    {point.text}
+                                    {resolveSources(point.sources, segments).map((source, j) => {
+                                        return (
+                                            <button key={j} onClick={() => onSourceSelect(source)} className='ml-2 text-xs text-blue-400 hover:text-blue-600 duration-200 tabular-nums'>{formatClock(source.start)}</button>
+                                        )
+                                    })}
+                                </li>
+                            )
+                        })}
+                    </ul>
+                </div>
+            )}
+            {summary?.summary && (
+                <p className='text-left'>{summary.summary}</p>
+            )}
+            {summarizing && summaryProgress && (
+                <div className='flex flex-col gap-1'>
+                    <p className='text-xs sm:text-sm text-slate-500'>{summaryProgress.completed < summaryProgress.total - 1 ? `Summarizing part ${summaryProgress.completed + 1} of ${summaryProgress.total - 1}` : 'Writing the summary'}</p>
+                    <div className='h-2 rounded-full bg-white overflow-hidden'>
+                        <div className='h-full bg-blue-300 duration-200' style={{ width: `${(summaryProgress.completed / summaryProgress.total) * 100}%` }}></div>
+                    </div>
+                </div>
+            )}
+            {!summarizing && (
+                <button onClick={generateSummary} disabled={segments.length === 0} className='specialBtn px-3 py-2 rounded-lg text-blue-400 hover:text-blue-600 duration-200 disabled:opacity-50 mx-auto mb-4'>
+                    {summary ? 'Summarize again' : 'Summarize'}
+                </button>
+            )}
+        </>
+    )
+}
@@ -1,4 +1,5 @@
 import React from 'react'
+import DownloadProgress from './DownloadProgress'
 
 /**
  * Transcribing Component
@@ -9,10 +10,13 @@ import React from 'react'
  * @component
  * @param {Object} props
  * @param {boolean} props.downloading - Whether the model is currently being downloaded
+ * @param {Object<string, Object>} props.downloads - Progress of each model file being downloaded
+ * @param {{text: string}|null} props.partial - In-progress text of the chunk being decoded
+ * @param {Function} props.handleCancel - Callback to cancel the transcription
  * @returns {JSX.Element} Loading animation with status message
  */
 export default function Transcribing(props) {
-    const { downloading } = props
+    const { downloading, downloads, partial, handleCancel } = props
 
 
     return (
@@ -29,6 +33,13 @@ export default function Transcribing(props) {
                     )
                 })}
             </div>
+            {partial?.text && (
+                <p className='italic text-slate-400 max-w-prose mx-auto'>{partial.text}</p>
+            )}
+            <div className='max-w-[400px] mx-auto w-full'>
+                <DownloadProgress title='Downloading speech model' downloads={downloads} />
+            </div>
+            <button onClick={handleCancel} className='text-slate-400 hover:text-blue-600 duration-200'>Cancel</button>
         </div>
     )
 }
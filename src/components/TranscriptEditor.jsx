@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { formatClock } from '../utils/time'
+import { updateSegmentText, splitSegment, mergeWithNext, retimeSegment, setSegmentSpeaker } from '../utils/segments'
+import { getSpeakerLabel, getSpeakerColor, getSpeakerId, listSpeakers } from '../utils/speakers'
+
+/**
+ * Step used by the retiming buttons, in seconds
+ * @type {number}
+ */
+const NUDGE_STEP = 0.1
+
+/**
+ * TranscriptEditor Component
+ *
+ * Segment-level editor for the transcription. Each segment's text can be fixed in place,
+ * split at the cursor, merged with the next segment and retimed, and when speakers were
+ * told apart, each segment can be moved to another speaker. All edits go through
+ * the undo/redo history owned by the parent.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<{index: number, text: string, start: number, end: number}>} props.segments - The segments being edited
+ * @param {Function} props.setSegments - History-aware setter for the segments
+ * @param {Object<string, string>} [props.speakerNames] - Speaker names chosen by the user, keyed by speaker id
+ * @param {Function} props.undo - Reverts the last edit
+ * @param {Function} props.redo - Re-applies the last reverted edit
+ * @param {boolean} props.canUndo - Whether there is an edit to undo
+ * @param {boolean} props.canRedo - Whether there is an edit to redo
+ * @param {Function} props.handleSeek - Callback to seek the audio to a time in seconds
+ * @returns {JSX.Element} Editable list of transcription segments
+ */
+export default function TranscriptEditor(props) {
+    const { segments, setSegments, speakerNames, undo, redo, canUndo, canRedo, handleSeek } = props
+
+    /**
+     * Speakers a segment can be assigned to: those in the transcript plus a new one
+     * @type {Array<{id: string, label: string}>}
+     */
+    const speakers = listSpeakers(segments)
+    const speakerOptions = speakers.length === 0 ? [] : [
+        ...speakers.map(id => ({ id, label: getSpeakerLabel(speakerNames, id) })),
+        { id: getSpeakerId(speakers.length), label: 'New speaker' }
+    ]
+
+    return (
+        <div className='flex flex-col gap-2 text-left'>
+            <div className='flex items-center gap-2 justify-end'>
+                <button onClick={undo} disabled={!canUndo} title='Undo' className='bg-white hover:text-blue-500 duration-200 text-blue-300 px-2 py-1 rounded disabled:opacity-40'>
+                    <i className="fa-solid fa-rotate-left"></i>
+                </button>
+                <button onClick={redo} disabled={!canRedo} title='Redo' className='bg-white hover:text-blue-500 duration-200 text-blue-300 px-2 py-1 rounded disabled:opacity-40'>
+                    <i className="fa-solid fa-rotate-right"></i>
+                </button>
+            </div>
+            <div className='flex flex-col gap-3 max-h-[50vh] overflow-y-auto'>
+                {segments.map((segment, i) => {
+                    return (
+                        <SegmentEditor key={i} segment={segment} speakerOptions={speakerOptions} isLast={i === segments.length - 1}
+                            onSpeakerChange={(speaker) => setSegments(curr => setSegmentSpeaker(curr, i, speaker))}
+                            onTextChange={(text) => setSegments(curr => updateSegmentText(curr, i, text))}
+                            onSplit={(cursor) => setSegments(curr => splitSegment(curr, i, cursor))}
+                            onMerge={() => setSegments(curr => mergeWithNext(curr, i))}
+                            onRetime={(edge, delta) => setSegments(curr => retimeSegment(curr, i, edge, delta))}
+                            onSeek={() => handleSeek(segment.start)} />
+                    )
+                })}
+            </div>
+        </div>
+    )
+}
+
+/**
+ * Editor row for a single segment
+ * Text is edited as a local draft and committed to the history on blur,
+ * so typing does not create an undo step per keystroke
+ *
+ * @param {Object} props
+ * @param {{text: string, start: number, end: number}} props.segment - The segment being edited
+ * @param {Array<{id: string, label: string}>} props.speakerOptions - Speakers the segment can be assigned to, empty if speakers were not told apart
+ * @param {Function} props.onSpeakerChange - Assigns the segment to another speaker
+ * @param {boolean} props.isLast - Whether this is the last segment (cannot merge)
+ * @param {Function} props.onTextChange - Commits new text for the segment
+ * @param {Function} props.onSplit - Splits the segment at a character offset
+ * @param {Function} props.onMerge - Merges the segment with the next one
+ * @param {Function} props.onRetime - Moves the 'start' or 'end' boundary by a delta in seconds
+ * @param {Function} props.onSeek - Seeks the audio to the segment start
+ * @returns {JSX.Element} Segment editor row
+ */
+function SegmentEditor(props) {
+    const { segment, speakerOptions, onSpeakerChange, isLast, onTextChange, onSplit, onMerge, onRetime, onSeek } = props
+    const [draft, setDraft] = useState(segment.text)
+    const cursor = useRef(0)
+
+    useEffect(() => {
+        setDraft(segment.text)
+    }, [segment.text])
+
+    function commitDraft() {
+        if (draft !== segment.text) {
+            onTextChange(draft)
+        }
+    }
+
+    return (
+        <div className='flex flex-col gap-1 bg-white rounded p-2'>
+            <div className='flex items-center gap-2 text-xs text-blue-400 flex-wrap'>
+                {speakerOptions.length > 0 && (
+                    <select value={segment.speaker ?? ''} onChange={(e) => onSpeakerChange(e.target.value)} title='Speaker'
+                        className={'outline-none bg-transparent font-medium ' + (segment.speaker ? getSpeakerColor(segment.speaker) : '')}>
+                        {speakerOptions.map(({ id, label }) => {
+                            return (
+                                <option key={id} value={id}>{label}</option>
+                            )
+                        })}
+                    </select>
+                )}
+                <TimeControl value={segment.start} onNudge={(delta) => onRetime('start', delta)} label='start' />
+                <span>–</span>
+                <TimeControl value={segment.end} onNudge={(delta) => onRetime('end', delta)} label='end' />
+                <div className='flex items-center gap-2 ml-auto'>
+                    <button onClick={onSeek} title='Play from here' className='hover:text-blue-600 duration-200'>
+                        <i className="fa-solid fa-play"></i>
+                    </button>
+                    <button onClick={() => onSplit(cursor.current)} title='Split at cursor' className='hover:text-blue-600 duration-200'>
+                        <i className="fa-solid fa-scissors"></i>
+                    </button>
+                    {!isLast && (
+                        <button onClick={onMerge} title='Merge with next segment' className='hover:text-blue-600 duration-200'>
+                            <i className="fa-solid fa-object-group"></i>
+                        </button>
+                    )}
+                </div>
+            </div>
+            <textarea value={draft} rows={2} className='w-full outline-none resize-y bg-transparent'
+                onChange={(e) => setDraft(e.target.value)}
+                onSelect={(e) => { cursor.current = e.target.selectionStart }}
+                onBlur={commitDraft} />
+        </div>
+    )
+}
+
+/**
+ * Timestamp display with buttons to nudge it earlier or later
+ * @param {Object} props
+ * @param {number} props.value - Time in seconds
+ * @param {Function} props.onNudge - Called with the offset in seconds
+ * @param {string} props.label - Name of the boundary, used in button titles
+ * @returns {JSX.Element} Timestamp with nudge controls
+ */
+function TimeControl(props) {
+    const { value, onNudge, label } = props
+
+    return (
+        <span className='flex items-center gap-1'>
+            <button onClick={() => onNudge(-NUDGE_STEP)} title={`Move ${label} earlier`} className='hover:text-blue-600 duration-200 px-1'>
+                <i className="fa-solid fa-minus"></i>
+            </button>
+            <span className='tabular-nums'>{formatClock(value, 1)}</span>
+            <button onClick={() => onNudge(NUDGE_STEP)} title={`Move ${label} later`} className='hover:text-blue-600 duration-200 px-1'>
+                <i className="fa-solid fa-plus"></i>
+            </button>
+        </span>
+    )
+}
@@ -0,0 +1,80 @@
+import React, { useState } from 'react'
+import { buildSearchPattern, searchSegments } from '../utils/search'
+import { formatClock } from '../utils/time'
+
+/**
+ * Most results listed at once, so a very common word does not render thousands of rows
+ * @type {number}
+ */
+const MAX_RESULTS = 100
+
+/**
+ * TranscriptSearch Component
+ *
+ * Search box over the segments of the open tab, case-insensitive by default with
+ * optional case and whole-word matching. Each matching segment is listed with its
+ * timestamp and the matches highlighted; selecting one jumps to it.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<{text: string, start: number}>} props.segments - The segments to search
+ * @param {Function} props.onSelect - Called with the selected result ({index, start, text, ranges})
+ * @returns {JSX.Element} Search box with its results
+ */
+export default function TranscriptSearch(props) {
+    const { segments, onSelect } = props
+    const [query, setQuery] = useState('')
+    const [matchCase, setMatchCase] = useState(false)
+    const [wholeWord, setWholeWord] = useState(false)
+
+    const results = searchSegments(segments, buildSearchPattern(query, { matchCase, wholeWord }))
+
+    return (
+        <div className='flex flex-col gap-1 text-left'>
+            <div className='flex items-center gap-2 bg-white rounded px-2'>
+                <i className="fa-solid fa-magnifying-glass text-slate-300"></i>
+                <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder='Search'
+                    onKeyDown={(e) => { if (e.key === 'Enter' && results.length > 0) { onSelect(results[0]) } }}
+                    className='flex-1 min-w-0 outline-none p-2' />
+                {query.trim() && (
+                    <span className='text-xs text-slate-400 tabular-nums whitespace-nowrap'>{results.length} {results.length === 1 ? 'segment' : 'segments'}</span>
+                )}
+                <button onClick={() => setMatchCase(!matchCase)} title='Match case' className={'text-sm font-medium px-1 rounded duration-200 ' + (matchCase ? 'bg-blue-300 text-white' : 'text-slate-400 hover:text-blue-600')}>Aa</button>
+                <button onClick={() => setWholeWord(!wholeWord)} title='Whole words only' className={'text-sm font-medium px-1 rounded duration-200 underline ' + (wholeWord ? 'bg-blue-300 text-white' : 'text-slate-400 hover:text-blue-600')}>ab</button>
+            </div>
+            {results.length > 0 && (
+                <div className='flex flex-col max-h-48 overflow-y-auto bg-white rounded'>
+                    {results.slice(0, MAX_RESULTS).map(result => {
+                        return (
+                            <button key={result.index} onClick={() => onSelect(result)} className='flex gap-3 text-left px-2 py-1 text-sm hover:bg-blue-50 duration-200'>
+                                <span className='text-xs text-blue-400 whitespace-nowrap pt-0.5 tabular-nums'>{formatClock(result.start)}</span>
+                                <span>{highlight(result.text, result.ranges)}</span>
+                            </button>
+                        )
+                    })}
+                    {results.length > MAX_RESULTS && (
+                        <p className='text-xs text-slate-400 px-2 py-1'>Showing the first {MAX_RESULTS} segments, refine the search to see more.</p>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
+
+/**
+ * Splits a segment's text into plain and highlighted parts
+ * @param {string} text - The segment text
+ * @param {Array<Array<number>>} ranges - The [from, to) range of each match
+ * @returns {Array<JSX.Element|string>} The text with each match in a mark
+ */
+function highlight(text, ranges) {
+    const parts = []
+    let position = 0
+    ranges.forEach(([from, to], i) => {
+        parts.push(text.slice(position, from))
+        parts.push(<mark key={i} className='bg-blue-100 text-blue-600 rounded'>{text.slice(from, to)}</mark>)
+        position = to
+    })
+    parts.push(text.slice(position))
+    return parts
+}
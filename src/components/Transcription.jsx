@@ -1,20 +1,77 @@
-import React from 'react'
+import React, { useEffect, useRef } from 'react'
+import { formatClock, findActiveSegment } from '../utils/time'
+import { getSpeakerLabel, getSpeakerColor } from '../utils/speakers'
 
 /**
  * Transcription Component
- * 
- * Displays the transcribed text content.
- * A simple component that renders the transcription results.
- * 
+ *
+ * Displays the transcription as a list of timestamped segments.
+ * Clicking a segment seeks the audio to its start, and the segment currently
+ * playing is highlighted and kept in view as playback advances. Segments with word timings
+ * are highlighted word by word, karaoke-style, and clicking a word seeks to it.
+ * The segment picked from the search results is outlined and scrolled into view.
+ *
  * @component
  * @param {Object} props
- * @param {string|Array<string>} props.textElement - The transcribed text to display
- * @returns {JSX.Element} Container with transcribed text
+ * @param {Array<{index: number, text: string, start: number, end: number, speaker?: string, words?: Array<{text: string, start: number, end: number}>}>} props.output - The transcribed segments, tagged with a speaker id when speakers were told apart
+ * @param {Object<string, string>} [props.speakerNames] - Speaker names chosen by the user, keyed by speaker id
+ * @param {{text: string}|null} [props.partial] - In-progress text of the chunk still being decoded
+ * @param {number} props.currentTime - Current playback position in seconds
+ * @param {boolean} props.playing - Whether the audio is currently playing
+ * @param {Function} props.handleSeek - Callback to seek the audio to a time in seconds
+ * @param {{index: number}|null} [props.focus] - The segment picked from the search results
+ * @returns {JSX.Element} Container with timestamped transcription segments
  */
 export default function Transcription(props) {
-    const { textElement } = props
+    const { output, partial, currentTime, playing, handleSeek, speakerNames, focus } = props
+    const activeIndex = findActiveSegment(output, currentTime)
+    const activeRef = useRef()
+    const listRef = useRef()
+
+    /**
+     * Effect hook to keep the active segment visible while the audio plays
+     */
+    useEffect(() => {
+        if (!playing || !activeRef.current) { return }
+        activeRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+    }, [activeIndex, playing])
+
+    /**
+     * Effect hook to bring the segment picked from the search results into view
+     */
+    useEffect(() => {
+        if (!focus) { return }
+        listRef.current?.children[focus.index]?.scrollIntoView({ block: 'center', behavior: 'smooth' })
+    }, [focus])
 
     return (
-        <div>{textElement}</div>
+        <div ref={listRef} className='flex flex-col gap-1 text-left max-h-[50vh] overflow-y-auto'>
+            {output.map((segment, i) => {
+                const active = i === activeIndex
+                return (
+                    <button key={i} ref={active ? activeRef : null} onClick={() => handleSeek(segment.start)} className={'flex gap-3 text-left rounded px-2 py-1 duration-200 ' + (active ? 'bg-blue-100' : 'hover:bg-blue-50') + (i === focus?.index ? ' ring-2 ring-blue-300' : '')}>
+                        <span className='text-xs text-blue-400 whitespace-nowrap pt-1 tabular-nums'>{formatClock(segment.start)} – {formatClock(segment.end)}</span>
+                        <span>
+                            {segment.speaker && (
+                                <span className={'font-medium mr-2 ' + getSpeakerColor(segment.speaker)}>{getSpeakerLabel(speakerNames, segment.speaker)}</span>
+                            )}
+                            {segment.words?.length > 0 ? segment.words.map((word, j) => {
+                                const spoken = active && currentTime >= word.end
+                                const speaking = active && currentTime >= word.start && !spoken
+                                return (
+                                    <span key={j} onClick={(e) => { e.stopPropagation(); handleSeek(word.start) }}
+                                        className={'rounded duration-100 hover:underline ' + (speaking ? 'bg-blue-400 text-white' : spoken ? 'text-blue-600' : '')}>
+                                        {word.text}{' '}
+                                    </span>
+                                )
+                            }) : segment.text}
+                        </span>
+                    </button>
+                )
+            })}
+            {partial?.text && (
+                <p className='italic text-slate-400 px-2 py-1'>{partial.text}</p>
+            )}
+        </div>
     )
 }
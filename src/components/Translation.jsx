@@ -1,41 +1,220 @@
-import React from 'react'
-import { LANGUAGES } from '../utils/presets'
+import React, { useState, useEffect, useRef } from 'react'
+import LanguagePicker from './LanguagePicker'
+import { TRANSLATION_MODEL_DETAILS } from '../utils/presets'
+import { listSourceLanguages, listTargetLanguages, supportsPair } from '../utils/translationModels'
+import { getLanguageName, loadLanguagePreferences, saveLanguagePreferences } from '../utils/languages'
+import { formatClock, findActiveSegment } from '../utils/time'
+import { getSpeakerLabel, getSpeakerColor } from '../utils/speakers'
 
 /**
  * Translation Component
- * 
- * Handles the translation interface and display of translated text.
- * Provides language selection and translation controls.
- * 
+ *
+ * Handles the translation interface and display of translated segments.
+ * Several target languages can be picked and translated in one job; each finished language
+ * gets its own tab showing the translated segments next to their source with the original
+ * timestamps, and the compare view lines every language up in columns, one row per segment.
+ * The segment picked from the search results is outlined and scrolled into view.
+ * The source language defaults to English, with a shortcut to the language Whisper detected;
+ * only the languages the selected translation model can reach from it are offered as targets. Both language pickers
+ * list the pinned and recently used languages first, remembered in this browser.
+ *
  * @component
  * @param {Object} props
- * @param {string} props.textElement - The text to display (original or translated)
- * @param {string} props.toLanguage - Currently selected target language
+ * @param {Object<string, Array<{index: number, text: string, source: string, start: number, end: number}>>} props.translations - Translated segments keyed by NLLB code, one per source segment
+ * @param {Array<{text: string, start: number}>} props.sourceSegments - The segments being translated, for the compare view
+ * @param {string|null} props.viewLanguage - NLLB code of the translation shown
+ * @param {Function} props.setViewLanguage - Function to show another translation
+ * @param {string} props.sourceLanguage - NLLB code of the transcript language
+ * @param {string|null} [props.detectedSource] - NLLB code of the language Whisper detected, if any
+ * @param {Function} props.setSourceLanguage - Function to change the transcript language
+ * @param {string} props.translationModel - The model translations are made with
+ * @param {Function} props.setTranslationModel - Function to change the translation model
+ * @param {Array<string>} props.targetLanguages - NLLB codes of the languages to translate into
+ * @param {Function} props.setTargetLanguages - Function to update the target languages
+ * @param {boolean} props.comparing - Whether the compare view is shown
+ * @param {Function} props.setComparing - Function to toggle the compare view
+ * @param {{completed: number, total: number, language: string}|null} props.translationProgress - Number of segments translated so far, across all languages
+ * @param {Object<string, string>} [props.speakerNames] - Speaker names chosen by the user, keyed by speaker id
+ * @param {number} props.currentTime - Current playback position in seconds
+ * @param {Function} props.handleSeek - Callback to seek the audio to a time in seconds
  * @param {boolean} props.translating - Whether translation is in progress
- * @param {Function} props.setToLanguage - Function to update the target language
  * @param {Function} props.generateTranslation - Function to trigger translation
+ * @param {{index: number}|null} [props.focus] - The segment picked from the search results
  * @returns {JSX.Element} Translation interface with language selection and results
  */
 export default function Translation(props) {
-    const { textElement, toLanguage, translating, setToLanguage, generateTranslation } = props
+    const { translations, sourceSegments, sourceLanguage, detectedSource, setSourceLanguage, translationModel, setTranslationModel, viewLanguage, setViewLanguage, targetLanguages, setTargetLanguages, comparing, setComparing, translationProgress, speakerNames, currentTime, handleSeek, translating, generateTranslation, focus } = props
+    const translation = viewLanguage ? translations[viewLanguage] ?? null : null
+    const translated = Object.keys(translations).filter(code => translations[code]?.length > 0)
+    const activeIndex = findActiveSegment(comparing ? sourceSegments : translation || [], currentTime)
+    const available = listTargetLanguages(translationModel, sourceLanguage)
+    const [languagePreferences, setLanguagePreferences] = useState(loadLanguagePreferences)
+    const listRef = useRef()
+
+    /**
+     * Effect hook to bring the segment picked from the search results into view
+     */
+    useEffect(() => {
+        if (!focus) { return }
+        listRef.current?.children[focus.index]?.scrollIntoView({ block: 'center', behavior: 'smooth' })
+    }, [focus])
+
+    /**
+     * Replaces the pinned and recent languages and saves them
+     * @param {{pinned: Array<string>, recent: Array<string>}} next
+     */
+    function updatePreferences(next) {
+        setLanguagePreferences(next)
+        saveLanguagePreferences(next)
+    }
+
+    /**
+     * Changes the source language, dropping the target languages the model cannot reach from it
+     * @param {string} code - NLLB code of the source language
+     */
+    function handleSourceChange(code) {
+        setSourceLanguage(code)
+        setTargetLanguages(targetLanguages.filter(entry => supportsPair(translationModel, code, entry)))
+    }
+
+    /**
+     * Switches the translation model, dropping the target languages it cannot translate into
+     * @param {string} model - The translation model id
+     */
+    function handleModelChange(model) {
+        setTranslationModel(model)
+        setTargetLanguages(targetLanguages.filter(code => supportsPair(model, sourceLanguage, code)))
+    }
+
+    /**
+     * Adds a target language
+     * @param {string} code - NLLB code of the language
+     */
+    function addLanguage(code) {
+        if (!code || targetLanguages.includes(code)) { return }
+        setTargetLanguages([...targetLanguages, code])
+    }
+
+    /**
+     * Removes a target language, keeping any translation already made into it
+     * @param {string} code - NLLB code of the language
+     */
+    function removeLanguage(code) {
+        setTargetLanguages(targetLanguages.filter(entry => entry !== code))
+    }
+
+    /**
+     * Speaker label shown before a segment, when speakers were told apart
+     * @param {{speaker?: string}} segment
+     * @returns {JSX.Element|null}
+     */
+    function renderSpeaker(segment) {
+        if (!segment?.speaker) { return null }
+        return (
+            <span className={'font-medium mr-2 ' + getSpeakerColor(segment.speaker)}>{getSpeakerLabel(speakerNames, segment.speaker)}</span>
+        )
+    }
+
     return (
         <>
-            {(textElement && !translating) && (
-                <p>{textElement}</p>
+            {translated.length > 0 && (
+                <div className='flex flex-wrap items-center gap-1 text-sm'>
+                    {translated.map(code => {
+                        const selected = !comparing && code === viewLanguage
+                        return (
+                            <button key={code} onClick={() => { setViewLanguage(code); setComparing(false) }} className={'px-2 py-1 rounded duration-200 ' + (selected ? 'bg-blue-300 text-white' : 'text-blue-400 hover:text-blue-600')}>{getLanguageName(code)}</button>
+                        )
+                    })}
+                    {translated.length > 1 && (
+                        <button onClick={() => setComparing(!comparing)} className={'px-2 py-1 rounded duration-200 ml-auto ' + (comparing ? 'bg-blue-300 text-white' : 'text-blue-400 hover:text-blue-600')}>
+                            <i className="fa-solid fa-table-columns"></i> Compare
+                        </button>
+                    )}
+                </div>
+            )}
+            {comparing ? (
+                <div className='overflow-x-auto max-h-[50vh] overflow-y-auto text-left'>
+                    <div className='grid gap-3 px-2 py-1 text-xs font-medium text-slate-500 sticky top-0 bg-white' style={{ gridTemplateColumns: `4rem repeat(${translated.length + 1}, minmax(12rem, 1fr))` }}>
+                        <span></span>
+                        <span>Source</span>
+                        {translated.map(code => <span key={code}>{getLanguageName(code)}</span>)}
+                    </div>
+                    <div ref={listRef} className='flex flex-col gap-1'>
+                        {sourceSegments.map((segment, i) => {
+                            return (
+                                <button key={i} onClick={() => handleSeek(segment.start)} style={{ gridTemplateColumns: `4rem repeat(${translated.length + 1}, minmax(12rem, 1fr))` }}
+                                    className={'grid gap-3 text-left rounded px-2 py-1 duration-200 ' + (i === activeIndex ? 'bg-blue-100' : 'hover:bg-blue-50') + (i === focus?.index ? ' ring-2 ring-blue-300' : '')}>
+                                    <span className='text-xs text-blue-400 whitespace-nowrap pt-1 tabular-nums'>{formatClock(segment.start)}</span>
+                                    <span className='text-slate-400'>{renderSpeaker(segment)}{segment.text}</span>
+                                    {translated.map(code => <span key={code}>{translations[code][i]?.text ?? ''}</span>)}
+                                </button>
+                            )
+                        })}
+                    </div>
+                </div>
+            ) : translation?.length > 0 && (
+                <div ref={listRef} className='flex flex-col gap-1 text-left max-h-[50vh] overflow-y-auto'>
+                    {translation.map((segment, i) => {
+                        return (
+                            <button key={i} onClick={() => handleSeek(segment.start)} className={'grid grid-cols-[auto_1fr_1fr] gap-3 text-left rounded px-2 py-1 duration-200 ' + (i === activeIndex ? 'bg-blue-100' : 'hover:bg-blue-50') + (i === focus?.index ? ' ring-2 ring-blue-300' : '')}>
+                                <span className='text-xs text-blue-400 whitespace-nowrap pt-1 tabular-nums'>{formatClock(segment.start)}</span>
+                                <span className='text-slate-400'>{segment.source}</span>
+                                <span>
+                                    {renderSpeaker(segment)}
+                                    {segment.text}
+                                </span>
+                            </button>
+                        )
+                    })}
+                </div>
+            )}
+            {translating && translationProgress && (
+                <div className='flex flex-col gap-1'>
+                    <p className='text-xs sm:text-sm text-slate-500'>Translating into {getLanguageName(translationProgress.language)} · segment {Math.min(translationProgress.completed + 1, translationProgress.total)} of {translationProgress.total}</p>
+                    <div className='h-2 rounded-full bg-white overflow-hidden'>
+                        <div className='h-full bg-blue-300 duration-200' style={{ width: `${(translationProgress.completed / translationProgress.total) * 100}%` }}></div>
+                    </div>
+                </div>
             )}
             {!translating && (<div className='flex flex-col gap-1 mb-4'>
-                <p className='text-xs sm:text-sm font-medium text-slate-500 mr-auto'>To language</p>
-                <div className='flex items-stretch gap-2 sm:gap-4' >
-                    <select value={toLanguage} className='flex-1 outline-none w-full focus:outline-none bg-white duration-200 p-2  rounded' onChange={(e) => setToLanguage(e.target.value)}>
-                        <option value={'Select language'}>Select language</option>
-                        {Object.entries(LANGUAGES).map(([key, value]) => {
+                <p className='text-xs sm:text-sm font-medium text-slate-500 mr-auto'>Translation model</p>
+                <select value={translationModel} className='outline-none w-full focus:outline-none bg-white duration-200 p-2 rounded' onChange={(e) => handleModelChange(e.target.value)}>
+                    {Object.entries(TRANSLATION_MODEL_DETAILS).map(([model, { label, size }]) => {
+                        return (
+                            <option key={model} value={model}>{label} · {size}</option>
+                        )
+                    })}
+                </select>
+                <p className='text-xs sm:text-sm font-medium text-slate-500 mr-auto'>From language</p>
+                <LanguagePicker options={listSourceLanguages(translationModel)} value={sourceLanguage} onSelect={handleSourceChange} placeholder='Source language' preferences={languagePreferences} setPreferences={updatePreferences} />
+                {(detectedSource && detectedSource !== sourceLanguage && listSourceLanguages(translationModel).includes(detectedSource)) && (
+                    <button onClick={() => handleSourceChange(detectedSource)} className='text-xs sm:text-sm text-blue-400 hover:text-blue-600 duration-200 self-start'>
+                        Use detected language ({getLanguageName(detectedSource)})
+                    </button>
+                )}
+                <p className='text-xs sm:text-sm font-medium text-slate-500 mr-auto'>To languages</p>
+                {available.length === 0 && (
+                    <p className='text-xs sm:text-sm text-rose-400'>This model cannot translate from {getLanguageName(sourceLanguage)}, pick another one.</p>
+                )}
+                {targetLanguages.length > 0 && (
+                    <div className='flex flex-wrap gap-1'>
+                        {targetLanguages.map(code => {
                             return (
-                                <option key={key} value={value}>{key}</option>
+                                <span key={code} className='flex items-center gap-2 bg-white rounded px-2 py-1 text-sm'>
+                                    {getLanguageName(code)}
+                                    <button onClick={() => removeLanguage(code)} title='Remove' className='text-slate-400 hover:text-rose-400 duration-200'>
+                                        <i className="fa-solid fa-xmark"></i>
+                                    </button>
+                                </span>
                             )
                         })}
-
-                    </select>
-                    <button onClick={generateTranslation} className='specialBtn px-3 py-2 rounded-lg text-blue-400 hover:text-blue-600 duration-200'>Translate</button>
+                    </div>
+                )}
+                <div className='flex items-stretch gap-2 sm:gap-4' >
+                    <LanguagePicker options={available.filter(code => !targetLanguages.includes(code))} value={null} onSelect={addLanguage} placeholder='Add language' preferences={languagePreferences} setPreferences={updatePreferences} />
+                    <button onClick={generateTranslation} disabled={targetLanguages.length === 0} className='specialBtn px-3 py-2 rounded-lg text-blue-400 hover:text-blue-600 duration-200 disabled:opacity-50'>
+                        Translate{targetLanguages.length > 1 ? ` (${targetLanguages.length})` : ''}
+                    </button>
                 </div>
             </div>)}
         </>
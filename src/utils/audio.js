@@ -0,0 +1,88 @@
+import { ChannelModes } from './presets'
+
+/**
+ * Sampling rate Whisper expects its input audio at
+ * @type {number}
+ */
+export const WHISPER_SAMPLING_RATE = 16000
+
+/**
+ * File extensions that can be transcribed; for video files only the audio track is used
+ * @type {Array<string>}
+ */
+export const SUPPORTED_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.ogg', '.flac', '.webm', '.mp4', '.mov']
+
+/**
+ * Value for the `accept` attribute of file inputs
+ * @type {string}
+ */
+export const FILE_ACCEPT = [...SUPPORTED_EXTENSIONS, 'audio/*', 'video/mp4', 'video/quicktime', 'video/webm'].join(',')
+
+/**
+ * MIME types accepted besides audio/*, for files whose extension is missing or unusual
+ * @type {Array<string>}
+ */
+const SUPPORTED_VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/webm']
+
+/**
+ * Checks, before decoding, whether a file is in a format that can be transcribed
+ * In-app recordings are Blobs without a name, so only their MIME type is checked
+ * @param {File|Blob} file - The file to check
+ * @returns {boolean}
+ */
+export function isSupportedFile(file) {
+    const name = file.name?.toLowerCase() ?? ''
+    if (SUPPORTED_EXTENSIONS.some(extension => name.endsWith(extension))) { return true }
+    if (file.type.startsWith('audio/') || SUPPORTED_VIDEO_TYPES.includes(file.type)) { return true }
+    return !file.name && !file.type
+}
+
+/**
+ * Averages the channels of a decoded file into a single mono channel
+ * @param {AudioBuffer} decoded - The decoded audio
+ * @returns {Float32Array} Mono audio
+ */
+function mixDown(decoded) {
+    if (decoded.numberOfChannels === 1) { return decoded.getChannelData(0) }
+
+    const mixed = new Float32Array(decoded.length)
+    for (let channel = 0; channel < decoded.numberOfChannels; channel++) {
+        const data = decoded.getChannelData(channel)
+        for (let i = 0; i < data.length; i++) {
+            mixed[i] += data[i] / decoded.numberOfChannels
+        }
+    }
+    return mixed
+}
+
+/**
+ * Converts an audio or video file to the format the Whisper worker expects
+ * @param {File|Blob} file - The audio file or recording to process
+ * @param {string} [channelMode=ChannelModes.MIX] - Whether to mix the channels down or keep them apart
+ * @returns {Promise<Float32Array|Array<Float32Array>>} Mono audio at 16kHz, or one array per channel
+ * when transcribing the channels of a multi-channel file separately
+ */
+export async function readAudioFrom(file, channelMode = ChannelModes.MIX) {
+    const audioCTX = new AudioContext({ sampleRate: WHISPER_SAMPLING_RATE })
+    try {
+        const response = await file.arrayBuffer()
+        const decoded = await audioCTX.decodeAudioData(response)
+
+        if (channelMode === ChannelModes.SEPARATE && decoded.numberOfChannels > 1) {
+            return Array.from({ length: decoded.numberOfChannels }, (_, channel) => decoded.getChannelData(channel))
+        }
+        return mixDown(decoded)
+    } finally {
+        audioCTX.close()
+    }
+}
+
+/**
+ * Duration in seconds of audio returned by readAudioFrom
+ * @param {Float32Array|Array<Float32Array>} audio - Mono audio or one array per channel
+ * @returns {number}
+ */
+export function getAudioDuration(audio) {
+    const samples = Array.isArray(audio) ? audio[0].length : audio.length
+    return samples / WHISPER_SAMPLING_RATE
+}
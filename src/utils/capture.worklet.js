@@ -0,0 +1,33 @@
+/**
+ * Number of frames collected before they are posted to the main thread
+ * @type {number}
+ */
+const BUFFER_SIZE = 4096
+
+/**
+ * Audio worklet that forwards the first input channel to the main thread in blocks
+ */
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super()
+        this.buffer = new Float32Array(BUFFER_SIZE)
+        this.length = 0
+    }
+
+    process(inputs) {
+        const channel = inputs[0]?.[0]
+        if (!channel) { return true }
+
+        for (let i = 0; i < channel.length; i++) {
+            this.buffer[this.length++] = channel[i]
+            if (this.length === BUFFER_SIZE) {
+                this.port.postMessage(this.buffer)
+                this.buffer = new Float32Array(BUFFER_SIZE)
+                this.length = 0
+            }
+        }
+        return true
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor)
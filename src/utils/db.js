@@ -0,0 +1,151 @@
+/**
+ * Name of the IndexedDB database holding the transcript library
+ * @type {string}
+ */
+const DB_NAME = 'voxcribe'
+
+/**
+ * Schema version, bump it when stores or indexes change
+ * @type {number}
+ */
+const DB_VERSION = 1
+
+/**
+ * Object store of saved transcripts
+ * @type {string}
+ */
+const TRANSCRIPTS_STORE = 'transcripts'
+
+/**
+ * @typedef {Object} TranscriptRecord
+ * @property {number} id - Key assigned by IndexedDB
+ * @property {string} title - Display name, defaults to the source file name
+ * @property {number} createdAt - When the job finished, in milliseconds since the epoch
+ * @property {number} updatedAt - When the record was last changed
+ * @property {string} modelName - The Whisper model the transcript was produced with
+ * @property {string} task - The Whisper task, either transcribe or translate
+ * @property {string|null} language - Spoken language reported by Whisper
+ * @property {Blob|null} audio - The source audio
+ * @property {Array<Object>} segments - The (possibly edited) transcript segments
+ * @property {Object<string, Array<Object>>} translations - Translated segments keyed by NLLB language code
+ * @property {Object<string, string>} speakers - Speaker names chosen by the user, keyed by speaker id
+ * @property {{summary: string, keyPoints: Array<{text: string, sources: Array<number>}>}} [summary] - Summary and key points of the transcript
+ * @property {Object|null} settings - Decoding and pre-processing options the transcript was produced with, as reported by the worker
+ */
+
+let dbPromise = null
+
+/**
+ * Default library title for a job, the file name or the recording date
+ * @param {string} [fileName] - Name of the transcribed file, if any
+ * @param {Date} [date=new Date()] - When the recording was made
+ * @returns {string} Title such as `interview.mp3` or `Recording 2024-05-01 14-30`
+ */
+export function getDefaultTitle(fileName, date = new Date()) {
+    if (fileName) { return fileName }
+    const pad = (value) => String(value).padStart(2, '0')
+    return `Recording ${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}-${pad(date.getMinutes())}`
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} The request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+/**
+ * Opens the database once, creating the stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(TRANSCRIPTS_STORE, { keyPath: 'id', autoIncrement: true })
+            store.createIndex('createdAt', 'createdAt')
+        }
+        dbPromise = promisify(request).catch(err => {
+            dbPromise = null
+            throw err
+        })
+    }
+    return dbPromise
+}
+
+/**
+ * Opens the transcripts store in a new transaction
+ * @param {IDBTransactionMode} mode
+ * @returns {Promise<IDBObjectStore>}
+ */
+async function getStore(mode) {
+    const db = await openDB()
+    return db.transaction(TRANSCRIPTS_STORE, mode).objectStore(TRANSCRIPTS_STORE)
+}
+
+/**
+ * Saves a new transcript to the library
+ * @param {Omit<TranscriptRecord, 'id'|'createdAt'|'updatedAt'>} transcript
+ * @returns {Promise<TranscriptRecord>} The stored record, with its id
+ */
+export async function saveTranscript(transcript) {
+    const now = Date.now()
+    const record = { translations: {}, speakers: {}, ...transcript, createdAt: now, updatedAt: now }
+    const store = await getStore('readwrite')
+    const id = await promisify(store.add(record))
+    return { ...record, id }
+}
+
+/**
+ * Applies changes to a saved transcript
+ * The changes can be computed from the stored record, so concurrent updates of
+ * nested fields (e.g. adding a translation) do not overwrite each other
+ * @param {number} id - The record id
+ * @param {Partial<TranscriptRecord>|function(TranscriptRecord): Partial<TranscriptRecord>} changes - Fields to overwrite
+ * @returns {Promise<TranscriptRecord|null>} The updated record, or null if it no longer exists
+ */
+export async function updateTranscript(id, changes) {
+    const store = await getStore('readwrite')
+    const record = await promisify(store.get(id))
+    if (!record) { return null }
+
+    const fields = typeof changes === 'function' ? changes(record) : changes
+    const updated = { ...record, ...fields, id, updatedAt: Date.now() }
+    await promisify(store.put(updated))
+    return updated
+}
+
+/**
+ * Loads a saved transcript
+ * @param {number} id - The record id
+ * @returns {Promise<TranscriptRecord|undefined>}
+ */
+export async function getTranscript(id) {
+    const store = await getStore('readonly')
+    return await promisify(store.get(id))
+}
+
+/**
+ * Lists every saved transcript, newest first
+ * @returns {Promise<Array<TranscriptRecord>>}
+ */
+export async function listTranscripts() {
+    const store = await getStore('readonly')
+    const records = await promisify(store.index('createdAt').getAll())
+    return records.reverse()
+}
+
+/**
+ * Removes a transcript from the library
+ * @param {number} id - The record id
+ * @returns {Promise<void>}
+ */
+export async function deleteTranscript(id) {
+    const store = await getStore('readwrite')
+    await promisify(store.delete(id))
+}
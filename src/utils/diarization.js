@@ -0,0 +1,329 @@
+import { getSpeakerId } from './speakers'
+
+/**
+ * Analysis frame length in samples (32 ms at 16 kHz), a power of two for the FFT
+ * @type {number}
+ */
+const FRAME_SIZE = 512
+
+/**
+ * Step between analysis frames in samples (20 ms at 16 kHz)
+ * @type {number}
+ */
+const HOP_SIZE = 320
+
+/**
+ * Number of log-spaced frequency bands summarising each frame's spectrum
+ * @type {number}
+ */
+const BAND_COUNT = 12
+
+/**
+ * Largest number of speakers tried when the count is detected automatically
+ * @type {number}
+ */
+const MAX_AUTO_SPEAKERS = 6
+
+/**
+ * Minimum silhouette score for automatic detection to report more than one speaker
+ * @type {number}
+ */
+const MIN_SILHOUETTE = 0.2
+
+/**
+ * Minimum distance between cluster centres, in standardized units, for automatic
+ * detection to count them as different voices. Silhouette scores ignore scale, so
+ * without this one voice would be split on tiny differences.
+ * @type {number}
+ */
+const MIN_SEPARATION = 2.5
+
+/**
+ * Smallest spread used to scale each feature: band energies (log units), spectral
+ * centroid, zero-crossing rate and energy spread. Differences below these are noise,
+ * so they must not be stretched into apparent speaker changes.
+ * @type {Array<number>}
+ */
+const MIN_DEVIATIONS = [...new Array(BAND_COUNT).fill(0.5), 0.02, 0.02, 0.3]
+
+/**
+ * Segments shorter than this, in seconds, are too short to describe a voice
+ * and take the speaker of the segment before them
+ * @type {number}
+ */
+const MIN_DIARIZATION_DURATION = 1
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float32Array} re - Real parts, length a power of two
+ * @param {Float32Array} im - Imaginary parts
+ */
+function fft(re, im) {
+    const n = re.length
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1
+        for (; j & bit; bit >>= 1) { j ^= bit }
+        j ^= bit
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]]
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const wr = Math.cos(angle * k)
+                const wi = Math.sin(angle * k)
+                const a = start + k
+                const b = a + size / 2
+                const tr = re[b] * wr - im[b] * wi
+                const ti = re[b] * wi + im[b] * wr
+                re[b] = re[a] - tr
+                im[b] = im[a] - ti
+                re[a] += tr
+                im[a] += ti
+            }
+        }
+    }
+}
+
+/**
+ * FFT bin edges of the log-spaced bands, from 100 Hz to 7 kHz
+ * @param {number} samplingRate
+ * @returns {Array<number>} BAND_COUNT + 1 bin indices
+ */
+function getBandEdges(samplingRate) {
+    const low = Math.log(100)
+    const high = Math.log(Math.min(7000, samplingRate / 2))
+    return Array.from({ length: BAND_COUNT + 1 }, (_, i) => {
+        const frequency = Math.exp(low + (high - low) * i / BAND_COUNT)
+        return Math.round(frequency / samplingRate * FRAME_SIZE)
+    })
+}
+
+/**
+ * Describes the voice in a stretch of audio with simple acoustic features:
+ * the average log energy of each frequency band, the spectral centroid,
+ * the zero-crossing rate and the spread of the frame energy.
+ * Quiet frames (pauses between words) are left out
+ * @param {Float32Array} audio - Mono audio
+ * @param {number} from - First sample
+ * @param {number} to - Sample after the last one
+ * @param {number} samplingRate
+ * @returns {Array<number>|null} Feature vector, or null if the stretch is too short
+ */
+export function extractFeatures(audio, from, to, samplingRate) {
+    const edges = getBandEdges(samplingRate)
+    const bandOfBin = Array.from({ length: edges[BAND_COUNT] }, (_, bin) => edges.findIndex(edge => bin < edge) - 1)
+    const window = Float32Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)))
+    const re = new Float32Array(FRAME_SIZE)
+    const im = new Float32Array(FRAME_SIZE)
+
+    const frames = []
+    for (let start = from; start + FRAME_SIZE <= to; start += HOP_SIZE) {
+        let energy = 0
+        let crossings = 0
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            const sample = audio[start + i]
+            energy += sample * sample
+            if (i > 0 && (sample >= 0) !== (audio[start + i - 1] >= 0)) { crossings += 1 }
+            re[i] = sample * window[i]
+            im[i] = 0
+        }
+        fft(re, im)
+
+        const bands = new Array(BAND_COUNT).fill(0)
+        let weighted = 0
+        let total = 0
+        for (let bin = edges[0]; bin < edges[BAND_COUNT]; bin++) {
+            const power = re[bin] * re[bin] + im[bin] * im[bin]
+            bands[bandOfBin[bin]] += power
+            weighted += bin * power
+            total += power
+        }
+
+        frames.push({
+            energy: Math.log(energy / FRAME_SIZE + 1e-10),
+            zcr: crossings / FRAME_SIZE,
+            centroid: total > 0 ? weighted / total / FRAME_SIZE : 0,
+            bands: bands.map(power => Math.log(power + 1e-10))
+        })
+    }
+
+    if (frames.length < 3) { return null }
+
+    // Keep the louder frames, where someone is actually speaking
+    const threshold = [...frames].map(frame => frame.energy).sort((a, b) => a - b)[Math.floor(frames.length * 0.3)]
+    const voiced = frames.filter(frame => frame.energy >= threshold)
+
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+    const energyMean = mean(voiced.map(frame => frame.energy))
+    const energySpread = Math.sqrt(mean(voiced.map(frame => (frame.energy - energyMean) ** 2)))
+
+    return [
+        ...Array.from({ length: BAND_COUNT }, (_, band) => mean(voiced.map(frame => frame.bands[band])) - energyMean),
+        mean(voiced.map(frame => frame.centroid)),
+        mean(voiced.map(frame => frame.zcr)),
+        energySpread
+    ]
+}
+
+/**
+ * Scales every feature to zero mean and unit variance, so no single feature dominates distances
+ * Features that barely vary are scaled by their minimum deviation instead
+ * @param {Array<Array<number>>} points
+ * @returns {Array<Array<number>>}
+ */
+function standardize(points) {
+    const dimensions = points[0].length
+    const means = Array.from({ length: dimensions }, (_, d) => points.reduce((sum, point) => sum + point[d], 0) / points.length)
+    const deviations = means.map((m, d) => Math.max(Math.sqrt(points.reduce((sum, point) => sum + (point[d] - m) ** 2, 0) / points.length), MIN_DEVIATIONS[d]))
+    return points.map(point => point.map((value, d) => (value - means[d]) / deviations[d]))
+}
+
+/**
+ * Squared Euclidean distance
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+function distance(a, b) {
+    return a.reduce((sum, value, d) => sum + (value - b[d]) ** 2, 0)
+}
+
+/**
+ * Groups points into k clusters with k-means
+ * Centres start from farthest-first picks, so results are the same on every run
+ * @param {Array<Array<number>>} points
+ * @param {number} k - Number of clusters
+ * @param {number} [iterations=50]
+ * @returns {Array<number>} Cluster index of each point
+ */
+export function kmeans(points, k, iterations = 50) {
+    const centres = [points[0]]
+    while (centres.length < k) {
+        const farthest = points.reduce((best, point, i) => {
+            const d = Math.min(...centres.map(centre => distance(point, centre)))
+            return d > best.d ? { i, d } : best
+        }, { i: 0, d: -1 })
+        centres.push(points[farthest.i])
+    }
+
+    let assignments = new Array(points.length).fill(-1)
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const next = points.map(point => {
+            let best = 0
+            centres.forEach((centre, c) => {
+                if (distance(point, centre) < distance(point, centres[best])) { best = c }
+            })
+            return best
+        })
+        if (next.every((cluster, i) => cluster === assignments[i])) { break }
+        assignments = next
+
+        for (let c = 0; c < k; c++) {
+            const members = points.filter((_, i) => assignments[i] === c)
+            if (members.length === 0) { continue }
+            centres[c] = members[0].map((_, d) => members.reduce((sum, point) => sum + point[d], 0) / members.length)
+        }
+    }
+    return assignments
+}
+
+/**
+ * Mean silhouette score of a clustering, from -1 (wrong) to 1 (well separated)
+ * @param {Array<Array<number>>} points
+ * @param {Array<number>} assignments - Cluster index of each point
+ * @returns {number}
+ */
+function silhouette(points, assignments) {
+    const clusters = [...new Set(assignments)]
+    if (clusters.length < 2) { return -1 }
+
+    const scores = points.map((point, i) => {
+        const meanDistance = (cluster) => {
+            const others = points.filter((_, j) => j !== i && assignments[j] === cluster)
+            if (others.length === 0) { return 0 }
+            return others.reduce((sum, other) => sum + Math.sqrt(distance(point, other)), 0) / others.length
+        }
+        const own = meanDistance(assignments[i])
+        const nearest = Math.min(...clusters.filter(cluster => cluster !== assignments[i]).map(meanDistance))
+        return (nearest - own) / (Math.max(own, nearest) || 1)
+    })
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length
+}
+
+/**
+ * Distance between the two closest cluster centres
+ * @param {Array<Array<number>>} points
+ * @param {Array<number>} assignments - Cluster index of each point
+ * @returns {number}
+ */
+function minSeparation(points, assignments) {
+    const centres = [...new Set(assignments)].map(cluster => {
+        const members = points.filter((_, i) => assignments[i] === cluster)
+        return members[0].map((_, d) => members.reduce((sum, point) => sum + point[d], 0) / members.length)
+    })
+
+    let closest = Infinity
+    centres.forEach((a, i) => centres.slice(i + 1).forEach(b => {
+        closest = Math.min(closest, Math.sqrt(distance(a, b)))
+    }))
+    return closest
+}
+
+/**
+ * Gives every segment of a single-channel recording an approximate speaker label
+ * Segments are described by acoustic features and clustered; speakers are lettered
+ * in order of first appearance. Runs entirely on the CPU without any model.
+ * @param {Float32Array} audio - Mono audio the segments were transcribed from
+ * @param {Array<Object>} segments - Segments with start and end times in seconds
+ * @param {Object} options
+ * @param {number} options.samplingRate - Sampling rate of the audio
+ * @param {number} [options.numSpeakers=0] - Number of speakers, 0 to detect it
+ * @param {number} [options.offset=0] - Time of the first sample in the segment timeline
+ * @returns {Array<Object>} The segments with a `speaker` id
+ */
+export function diarizeSegments(audio, segments, { samplingRate, numSpeakers = 0, offset = 0 }) {
+    const features = segments.map(segment => {
+        if (segment.end - segment.start < MIN_DIARIZATION_DURATION) { return null }
+        const from = Math.max(0, Math.floor((segment.start - offset) * samplingRate))
+        const to = Math.min(audio.length, Math.ceil((segment.end - offset) * samplingRate))
+        return extractFeatures(audio, from, to, samplingRate)
+    })
+
+    const usable = features.map((feature, i) => feature ? i : -1).filter(i => i >= 0)
+    let clusters = new Array(usable.length).fill(0)
+
+    if (usable.length > 2) {
+        const points = standardize(usable.map(i => features[i]))
+        if (numSpeakers > 1) {
+            clusters = kmeans(points, Math.min(numSpeakers, points.length))
+        } else if (numSpeakers === 0) {
+            let best = { score: MIN_SILHOUETTE, clusters }
+            for (let k = 2; k <= Math.min(MAX_AUTO_SPEAKERS, points.length - 1); k++) {
+                const candidate = kmeans(points, k)
+                const score = silhouette(points, candidate)
+                if (score > best.score && minSeparation(points, candidate) >= MIN_SEPARATION) {
+                    best = { score, clusters: candidate }
+                }
+            }
+            clusters = best.clusters
+        }
+    }
+
+    // Letter speakers in order of appearance, so the first voice is always speaker A
+    const letters = new Map()
+    const clusterOf = new Map(usable.map((segmentIndex, i) => [segmentIndex, clusters[i]]))
+    let previous = getSpeakerId(0)
+
+    return segments.map((segment, i) => {
+        if (clusterOf.has(i)) {
+            const cluster = clusterOf.get(i)
+            if (!letters.has(cluster)) { letters.set(cluster, getSpeakerId(letters.size)) }
+            previous = letters.get(cluster)
+        }
+        return { ...segment, speaker: previous }
+    })
+}
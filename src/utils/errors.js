@@ -0,0 +1,45 @@
+import { ErrorCodes } from './presets'
+
+/**
+ * User-facing explanation for each error code
+ */
+export const ERROR_MESSAGES = {
+    [ErrorCodes.MODEL_DOWNLOAD]: 'The model could not be downloaded. Check your connection and try again.',
+    [ErrorCodes.AUDIO_DECODE]: 'This audio could not be decoded. The file may be corrupted or in an unsupported format.',
+    [ErrorCodes.MICROPHONE]: 'The microphone could not be opened. Check that this site is allowed to use it.',
+    [ErrorCodes.OUT_OF_MEMORY]: 'Your device ran out of memory. Try a smaller model or a shorter recording.',
+    [ErrorCodes.TRANSCRIPTION]: 'Something went wrong while transcribing.',
+    [ErrorCodes.TRANSLATION]: 'Something went wrong while translating.',
+    [ErrorCodes.SUMMARIZATION]: 'Something went wrong while summarizing.',
+    [ErrorCodes.STORAGE]: 'The library could not be read or saved. Private browsing or a full disk can block browser storage.',
+    [ErrorCodes.DIARIZATION]: 'Speakers could not be told apart, so the transcript has no speaker labels.',
+    [ErrorCodes.WORD_TIMESTAMPS]: 'This model cannot time individual words, so only whole segments have timestamps.',
+    [ErrorCodes.UNSUPPORTED_FORMAT]: 'This file type is not supported. Use MP3, WAV, M4A, OGG, FLAC or WebM audio, or MP4 and MOV video.',
+}
+
+/**
+ * Thrown inside a worker to abort a job the user cancelled
+ */
+export class CancelledError extends Error {
+    constructor() {
+        super('Job cancelled')
+        this.name = 'CancelledError'
+    }
+}
+
+/**
+ * Converts a thrown value into a plain object that can be posted between threads
+ * Allocation failures are reported as out-of-memory whatever stage they happen in
+ * @param {*} err - The thrown value
+ * @param {string} code - The ErrorCodes value describing the failing stage
+ * @returns {{code: string, message: string}} Structured error
+ */
+export function serializeError(err, code) {
+    const message = err?.message ?? String(err)
+    const outOfMemory = err instanceof RangeError || /out of memory|failed to allocate|allocation failed|memory access out of bounds/i.test(message)
+
+    return {
+        code: outOfMemory ? ErrorCodes.OUT_OF_MEMORY : code,
+        message
+    }
+}
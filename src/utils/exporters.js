@@ -0,0 +1,159 @@
+/**
+ * Export formats offered for transcripts and translations
+ */
+export const ExportFormats = {
+    TXT: 'txt',
+    SRT: 'srt',
+    VTT: 'vtt',
+    JSON: 'json',
+}
+
+/**
+ * MIME type and label for each export format
+ */
+export const EXPORT_DETAILS = {
+    [ExportFormats.TXT]: { label: 'Plain text (.txt)', mimeType: 'text/plain' },
+    [ExportFormats.SRT]: { label: 'SubRip subtitles (.srt)', mimeType: 'application/x-subrip' },
+    [ExportFormats.VTT]: { label: 'WebVTT subtitles (.vtt)', mimeType: 'text/vtt' },
+    [ExportFormats.JSON]: { label: 'Segments with timestamps (.json)', mimeType: 'application/json' },
+}
+
+/**
+ * Formats a time in seconds as a subtitle timestamp (HH:MM:SS,mmm)
+ * @param {number} seconds - Time in seconds
+ * @param {string} [separator=','] - Separator before the milliseconds, ',' for SRT and '.' for WebVTT
+ * @returns {string} The formatted timestamp
+ */
+export function formatTimestamp(seconds, separator = ',') {
+    const totalMs = Math.max(0, Math.round((seconds || 0) * 1000))
+    const hours = Math.floor(totalMs / 3600000)
+    const minutes = Math.floor((totalMs % 3600000) / 60000)
+    const secs = Math.floor((totalMs % 60000) / 1000)
+    const ms = totalMs % 1000
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0')
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`
+}
+
+/**
+ * Text of a segment prefixed with its speaker label, if it has one
+ * @param {{text: string, speaker?: string}} segment
+ * @returns {string}
+ */
+function withSpeaker(segment) {
+    return segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text
+}
+
+/**
+ * Serializes segments as plain text, one segment per line
+ * @param {Array<{text: string, speaker?: string}>} segments - The segments to export
+ * @returns {string} Plain text transcript
+ */
+export function toTXT(segments) {
+    return segments.map(withSpeaker).join('\n')
+}
+
+/**
+ * Serializes segments as SubRip (.srt) subtitles
+ * @param {Array<{text: string, start: number, end: number}>} segments - The segments to export
+ * @returns {string} SRT document
+ */
+export function toSRT(segments) {
+    return segments.map((segment, i) => {
+        return `${i + 1}\n${formatTimestamp(segment.start)} --> ${formatTimestamp(segment.end)}\n${withSpeaker(segment)}\n`
+    }).join('\n')
+}
+
+/**
+ * Escapes the characters WebVTT cue text gives a meaning to, so text cannot open a tag or an entity
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+/**
+ * Text of a WebVTT cue, with a timestamp tag before each word after the first when word timings are known,
+ * so players can reveal the cue karaoke-style
+ * @param {{text: string, words?: Array<{text: string, start: number}>}} segment
+ * @returns {string}
+ */
+function toCueText(segment) {
+    if (!segment.words?.length) { return escapeCueText(segment.text) }
+    return segment.words.map((word, i) => i === 0 ? escapeCueText(word.text) : `<${formatTimestamp(word.start, '.')}>${escapeCueText(word.text)}`).join(' ')
+}
+
+/**
+ * Serializes segments as WebVTT (.vtt) subtitles
+ * @param {Array<{text: string, start: number, end: number, words?: Array<Object>}>} segments - The segments to export
+ * @returns {string} WebVTT document
+ */
+export function toVTT(segments) {
+    const cues = segments.map((segment, i) => {
+        // Voice spans let players style or filter cues by speaker
+        const text = segment.speaker ? `<v ${escapeCueText(segment.speaker)}>${toCueText(segment)}` : toCueText(segment)
+        return `${i + 1}\n${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}\n${text}\n`
+    })
+    return ['WEBVTT\n', ...cues].join('\n')
+}
+
+/**
+ * Serializes segments as JSON, keeping the full segment list, word timings included
+ * @param {Array<Object>} segments - The segments to export
+ * @param {Object} [metadata={}] - Extra fields stored alongside the segments
+ * @returns {string} JSON document
+ */
+export function toJSON(segments, metadata = {}) {
+    return JSON.stringify({ ...metadata, segments }, null, 2)
+}
+
+/**
+ * Serializes segments in the requested export format
+ * @param {string} format - One of ExportFormats
+ * @param {Array<Object>} segments - The segments to export
+ * @param {Object} [metadata={}] - Extra fields stored in JSON exports
+ * @returns {string} The serialized document
+ */
+export function serializeSegments(format, segments, metadata = {}) {
+    switch (format) {
+        case ExportFormats.SRT:
+            return toSRT(segments)
+        case ExportFormats.VTT:
+            return toVTT(segments)
+        case ExportFormats.JSON:
+            return toJSON(segments, metadata)
+        default:
+            return toTXT(segments)
+    }
+}
+
+/**
+ * Builds an export file name from the source file name
+ * @param {string} [sourceName] - Name of the uploaded file, if any
+ * @param {string} format - One of ExportFormats, used as the extension
+ * @param {string} [suffix] - Optional suffix, e.g. a translation language code
+ * @returns {string} File name such as `interview.srt` or `interview.fra_Latn.srt`
+ */
+export function getExportFileName(sourceName, format, suffix) {
+    const baseName = sourceName ? sourceName.replace(/\.[^/.]+$/, '') : 'voxcribe_recording'
+    return [baseName, suffix, format].filter(Boolean).join('.')
+}
+
+/**
+ * Triggers a browser download of the given text content
+ * @param {string} content - File contents
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} [mimeType='text/plain'] - MIME type of the file
+ */
+export function downloadFile(content, fileName, mimeType = 'text/plain') {
+    const element = document.createElement('a')
+    const file = new Blob([content], { type: mimeType })
+    const url = URL.createObjectURL(file)
+    element.href = url
+    element.download = fileName
+    document.body.appendChild(element)
+    element.click()
+    document.body.removeChild(element)
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+}
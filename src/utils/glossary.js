@@ -0,0 +1,155 @@
+import { escapeRegExp, wholeWordSource } from './search'
+import { withoutWords } from './segments'
+
+/**
+ * localStorage key the glossary rules are kept under
+ * @type {string}
+ */
+const STORAGE_KEY = 'voxcribe-glossary'
+
+/**
+ * @typedef {Object} GlossaryRule
+ * @property {string} id - Stable id for editing the list
+ * @property {string} find - Text to look for, or a regular expression when `regex` is set
+ * @property {string} replace - Replacement text, regex rules can refer to groups with $1, $2...
+ * @property {boolean} regex - Whether `find` is a regular expression
+ * @property {boolean} protect - Whether the replacement is kept as is when translating
+ */
+
+/**
+ * Reads the glossary rules saved in this browser
+ * @returns {Array<GlossaryRule>} The rules, in the order they are applied
+ */
+export function loadGlossary() {
+    try {
+        const rules = JSON.parse(localStorage.getItem(STORAGE_KEY))
+        return Array.isArray(rules) ? rules : []
+    } catch {
+        // An unreadable entry is dropped rather than blocking every transcript
+        return []
+    }
+}
+
+/**
+ * Saves the glossary rules in this browser
+ * @param {Array<GlossaryRule>} rules - The rules, in the order they are applied
+ */
+export function saveGlossary(rules) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules))
+}
+
+/**
+ * Creates an empty rule to add to the glossary
+ * @returns {GlossaryRule}
+ */
+export function createRule() {
+    return { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, find: '', replace: '', regex: false, protect: true }
+}
+
+/**
+ * Builds the case-sensitive expression a rule matches with
+ * Plain rules only match whole words, so "Vox" does not change "Voxel"
+ * @param {GlossaryRule} rule
+ * @returns {RegExp|null} The expression, or null if the rule is empty or its pattern is invalid
+ */
+export function compileRule(rule) {
+    if (!rule.find) { return null }
+    try {
+        return rule.regex
+            ? new RegExp(rule.find, 'gu')
+            : new RegExp(wholeWordSource(escapeRegExp(rule.find)), 'gu')
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Applies the glossary to a piece of text
+ * @param {string} text - The text to correct
+ * @param {Array<RegExp|null>} patterns - Compiled rules, in the same order as `rules`
+ * @param {Array<GlossaryRule>} rules - The glossary rules
+ * @returns {string} The corrected text
+ */
+function applyToText(text, patterns, rules) {
+    return patterns.reduce((result, pattern, i) => pattern ? result.replace(pattern, rules[i].replace) : result, text)
+}
+
+/**
+ * Text with all whitespace removed, so word lists are compared regardless of how they are spaced
+ * @param {string} text
+ * @returns {string}
+ */
+function squashSpaces(text) {
+    return text.replace(/\s+/g, '')
+}
+
+/**
+ * Applies the glossary to transcript segments, leaving the stored text untouched
+ * Word timings are corrected word by word, so single-word terms are fixed in the karaoke view too.
+ * When a rule spans several words or depends on their spacing, the words cannot follow it and are
+ * dropped, so the karaoke view and WebVTT export fall back to the corrected segment text
+ * @param {Array<Object>} segments - The raw segments
+ * @param {Array<GlossaryRule>} rules - The glossary rules
+ * @returns {Array<Object>} The corrected segments, or the same array when there are no rules
+ */
+export function applyGlossary(segments, rules) {
+    const patterns = rules.map(compileRule)
+    if (!patterns.some(Boolean)) { return segments }
+
+    return segments.map(segment => {
+        const text = applyToText(segment.text, patterns, rules)
+        if (!segment.words) { return { ...segment, text } }
+
+        const words = segment.words.map(word => ({ ...word, text: applyToText(word.text, patterns, rules) }))
+        const joined = applyToText(segment.words.map(word => word.text).join(' '), patterns, rules)
+        if (squashSpaces(joined) !== squashSpaces(words.map(word => word.text).join(' '))) {
+            return withoutWords({ ...segment, text })
+        }
+        return { ...segment, text, words }
+    })
+}
+
+/**
+ * Terms that must survive translation unchanged: the replacements of protected plain rules
+ * @param {Array<GlossaryRule>} rules - The glossary rules
+ * @returns {Array<string>} The protected terms, longest first
+ */
+export function getProtectedTerms(rules) {
+    const terms = rules.filter(rule => rule.protect && !rule.regex && rule.find && rule.replace.trim()).map(rule => rule.replace.trim())
+    return [...new Set(terms)].sort((a, b) => b.length - a.length)
+}
+
+/**
+ * Swaps protected terms for numbered placeholders the translation model copies through
+ * @param {string} text - The text about to be translated
+ * @param {Array<string>} terms - Protected terms, longest first
+ * @returns {{text: string, found: Array<string>}} The text with placeholders, and the term behind each placeholder
+ */
+export function protectTerms(text, terms) {
+    const found = []
+    let protectedText = text
+    for (const term of terms) {
+        const pattern = compileRule({ find: term, regex: false })
+        protectedText = protectedText.replace(pattern, () => {
+            found.push(term)
+            return `[${found.length - 1}]`
+        })
+    }
+    return { text: protectedText, found }
+}
+
+/**
+ * Puts the protected terms back into a translation
+ * @param {string} text - The translated text with placeholders
+ * @param {Array<string>} found - The term behind each placeholder, from protectTerms
+ * @returns {string|null} The restored translation, or null if the model dropped or mangled a placeholder
+ */
+export function restoreTerms(text, found) {
+    const restored = new Set()
+    const result = text.replace(/\[\s*(\d+)\s*\]/g, (match, i) => {
+        if (found[i] === undefined) { return match }
+        restored.add(Number(i))
+        return found[i]
+    })
+    return restored.size === found.length ? result : null
+}
@@ -0,0 +1,76 @@
+import { LANGUAGES } from './presets'
+
+/**
+ * localStorage key the pinned and recently used languages are kept under
+ * @type {string}
+ */
+const STORAGE_KEY = 'voxcribe-languages'
+
+/**
+ * How many recently used languages are remembered
+ * @type {number}
+ */
+const MAX_RECENT = 5
+
+/**
+ * @typedef {Object} LanguagePreferences
+ * @property {Array<string>} pinned - NLLB codes of the pinned languages, in the order they were pinned
+ * @property {Array<string>} recent - NLLB codes of the recently used languages, most recent first
+ */
+
+/**
+ * Display name of an NLLB language code
+ * @param {string} code - NLLB code such as `fra_Latn`
+ * @returns {string} The language name, or the code if it is not in LANGUAGES
+ */
+export function getLanguageName(code) {
+    return Object.keys(LANGUAGES).find(name => LANGUAGES[name] === code) ?? code
+}
+
+/**
+ * Reads the pinned and recently used languages saved in this browser
+ * @returns {LanguagePreferences}
+ */
+export function loadLanguagePreferences() {
+    try {
+        const preferences = JSON.parse(localStorage.getItem(STORAGE_KEY))
+        return {
+            pinned: Array.isArray(preferences?.pinned) ? preferences.pinned : [],
+            recent: Array.isArray(preferences?.recent) ? preferences.recent : []
+        }
+    } catch {
+        return { pinned: [], recent: [] }
+    }
+}
+
+/**
+ * Saves the pinned and recently used languages in this browser
+ * @param {LanguagePreferences} preferences
+ */
+export function saveLanguagePreferences(preferences) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences))
+}
+
+/**
+ * Moves a language to the front of the recently used ones
+ * @param {LanguagePreferences} preferences
+ * @param {string} code - NLLB code of the language just used
+ * @returns {LanguagePreferences} The updated preferences
+ */
+export function rememberLanguage(preferences, code) {
+    const recent = [code, ...preferences.recent.filter(entry => entry !== code)].slice(0, MAX_RECENT)
+    return { ...preferences, recent }
+}
+
+/**
+ * Pins a language, or unpins it if it already is
+ * @param {LanguagePreferences} preferences
+ * @param {string} code - NLLB code of the language
+ * @returns {LanguagePreferences} The updated preferences
+ */
+export function togglePinned(preferences, code) {
+    const pinned = preferences.pinned.includes(code)
+        ? preferences.pinned.filter(entry => entry !== code)
+        : [...preferences.pinned, code]
+    return { ...preferences, pinned }
+}
@@ -0,0 +1,112 @@
+/**
+ * Sampling rate Whisper expects, in Hz
+ * @type {number}
+ */
+export const SAMPLING_RATE = 16000
+
+/**
+ * Starts capturing raw samples from a microphone stream
+ * Samples are delivered at the device rate; use `resample` to convert them for Whisper
+ * @param {MediaStream} stream - The microphone stream
+ * @param {Function} onData - Called with each Float32Array block of samples
+ * @returns {Promise<{sampleRate: number, stop: Function}>} Capture handle
+ */
+export async function startCapture(stream, onData) {
+    const context = new AudioContext()
+    await context.audioWorklet.addModule(new URL('./capture.worklet.js', import.meta.url))
+
+    const source = context.createMediaStreamSource(stream)
+    const node = new AudioWorkletNode(context, 'capture-processor')
+    node.port.onmessage = (e) => onData(e.data)
+
+    // The worklet outputs silence; connecting it keeps the graph pulling audio through it
+    source.connect(node)
+    node.connect(context.destination)
+
+    return {
+        sampleRate: context.sampleRate,
+        stop: () => {
+            if (context.state === 'closed') { return }
+            source.disconnect()
+            node.disconnect()
+            context.close()
+        }
+    }
+}
+
+/**
+ * Concatenates blocks of samples into one array
+ * @param {Array<Float32Array>} blocks - The blocks to join
+ * @returns {Float32Array} The joined samples
+ */
+export function concatSamples(blocks) {
+    const length = blocks.reduce((sum, block) => sum + block.length, 0)
+    const output = new Float32Array(length)
+    let position = 0
+    for (const block of blocks) {
+        output.set(block, position)
+        position += block.length
+    }
+    return output
+}
+
+/**
+ * Resamples audio by averaging the input samples that fall in each output sample
+ * @param {Float32Array} input - Samples at the source rate
+ * @param {number} fromRate - Source sampling rate in Hz
+ * @param {number} [toRate=SAMPLING_RATE] - Target sampling rate in Hz
+ * @returns {Float32Array} Resampled audio
+ */
+export function resample(input, fromRate, toRate = SAMPLING_RATE) {
+    if (fromRate === toRate) { return input }
+
+    const ratio = fromRate / toRate
+    const output = new Float32Array(Math.floor(input.length / ratio))
+    for (let i = 0; i < output.length; i++) {
+        const start = Math.floor(i * ratio)
+        const end = Math.min(Math.max(Math.floor((i + 1) * ratio), start + 1), input.length)
+        let sum = 0
+        for (let j = start; j < end; j++) {
+            sum += input[j]
+        }
+        output[i] = sum / (end - start)
+    }
+    return output
+}
+
+/**
+ * Encodes mono samples as a 16-bit PCM WAV file
+ * @param {Float32Array} samples - Samples in the range [-1, 1]
+ * @param {number} [sampleRate=SAMPLING_RATE] - Sampling rate in Hz
+ * @returns {Blob} WAV file
+ */
+export function encodeWAV(samples, sampleRate = SAMPLING_RATE) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2)
+    const view = new DataView(buffer)
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i))
+        }
+    }
+
+    writeString(0, 'RIFF')
+    view.setUint32(4, 36 + samples.length * 2, true)
+    writeString(8, 'WAVE')
+    writeString(12, 'fmt ')
+    view.setUint32(16, 16, true)
+    view.setUint16(20, 1, true)
+    view.setUint16(22, 1, true)
+    view.setUint32(24, sampleRate, true)
+    view.setUint32(28, sampleRate * 2, true)
+    view.setUint16(32, 2, true)
+    view.setUint16(34, 16, true)
+    writeString(36, 'data')
+    view.setUint32(40, samples.length * 2, true)
+
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]))
+        view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true)
+    }
+
+    return new Blob([view], { type: 'audio/wav' })
+}
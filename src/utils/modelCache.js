@@ -0,0 +1,73 @@
+/**
+ * Name of the Cache Storage bucket transformers.js stores model files in
+ * @type {string}
+ */
+export const MODEL_CACHE_NAME = 'transformers-cache'
+
+/**
+ * Extracts the model id from the URL of a cached Hub file
+ * @param {string} url - e.g. https://huggingface.co/Xenova/whisper-tiny.en/resolve/main/config.json
+ * @returns {string|null} The model id (e.g. Xenova/whisper-tiny.en), or null for other URLs
+ */
+export function getModelFromUrl(url) {
+    const match = new URL(url).pathname.match(/^\/(.+?)\/resolve\//)
+    return match ? match[1] : null
+}
+
+/**
+ * Lists the models stored in the browser cache with the size of their files
+ * @returns {Promise<Object<string, {size: number, files: number}>>} Cached models keyed by model id
+ */
+export async function listCachedModels() {
+    if (typeof caches === 'undefined') { return {} }
+
+    const cache = await caches.open(MODEL_CACHE_NAME)
+    const requests = await cache.keys()
+    const models = {}
+
+    for (const request of requests) {
+        const model = getModelFromUrl(request.url)
+        if (!model) { continue }
+
+        const response = await cache.match(request)
+        const length = Number(response?.headers.get('content-length'))
+        const size = length || (await response?.blob())?.size || 0
+
+        models[model] = models[model] ?? { size: 0, files: 0 }
+        models[model].size += size
+        models[model].files += 1
+    }
+
+    return models
+}
+
+/**
+ * Deletes every cached file of a model
+ * @param {string} model - The model id
+ * @returns {Promise<void>}
+ */
+export async function deleteCachedModel(model) {
+    const cache = await caches.open(MODEL_CACHE_NAME)
+    const requests = await cache.keys()
+    await Promise.all(requests
+        .filter(request => getModelFromUrl(request.url) === model)
+        .map(request => cache.delete(request)))
+}
+
+/**
+ * Reports how much storage the app uses and whether the browser may evict it
+ * @returns {Promise<{usage: number, quota: number, persisted: boolean}>}
+ */
+export async function getStorageStatus() {
+    const estimate = await navigator.storage?.estimate?.() ?? {}
+    const persisted = await navigator.storage?.persisted?.() ?? false
+    return { usage: estimate.usage ?? 0, quota: estimate.quota ?? 0, persisted }
+}
+
+/**
+ * Asks the browser to keep the app's storage, including downloaded models, when space runs low
+ * @returns {Promise<boolean>} Whether storage is now persistent
+ */
+export async function requestPersistentStorage() {
+    return await navigator.storage?.persist?.() ?? false
+}
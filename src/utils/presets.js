@@ -5,6 +5,11 @@ export const MessageTypes = {
     RESULT_PARTIAL: "RESULT_PARTIAL",
     INFERENCE_REQUEST: "INFERENCE_REQUEST",
     INFERENCE_DONE: "INFERENCE_DONE",
+    CANCEL: "CANCEL",
+    ERROR: "ERROR",
+    WARNING: "WARNING",
+    LOAD_MODEL: "LOAD_MODEL",
+    MODEL_READY: "MODEL_READY",
 };
 
 export const LoadingStatus = {
@@ -13,13 +18,212 @@ export const LoadingStatus = {
     LOADING: "loading",
 };
 
+export const ChannelModes = {
+    MIX: "mix",
+    SEPARATE: "separate",
+};
+
+export const BatchStatus = {
+    QUEUED: "queued",
+    DOWNLOADING: "downloading",
+    TRANSCRIBING: "transcribing",
+    DONE: "done",
+    FAILED: "failed",
+};
+
+export const ErrorCodes = {
+    MODEL_DOWNLOAD: "model_download",
+    AUDIO_DECODE: "audio_decode",
+    MICROPHONE: "microphone",
+    OUT_OF_MEMORY: "out_of_memory",
+    TRANSCRIPTION: "transcription",
+    TRANSLATION: "translation",
+    SUMMARIZATION: "summarization",
+    UNSUPPORTED_FORMAT: "unsupported_format",
+    STORAGE: "storage",
+    DIARIZATION: "diarization",
+    WORD_TIMESTAMPS: "word_timestamps",
+};
+
 export const ModelNames = {
-    WHISPER_TINY_EN: "openai/whisper-tiny.en",
-    WHISPER_TINY: "openai/whisper-tiny",
-    WHISPER_BASE: "openai/whisper-base",
-    WHISPER_BASE_EN: "openai/whisper-base.en",
-    WHISPER_SMALL: "openai/whisper-small",
-    WHISPER_SMALL_EN: "openai/whisper-small.en",
+    WHISPER_TINY_EN: "Xenova/whisper-tiny.en",
+    WHISPER_TINY: "Xenova/whisper-tiny",
+    WHISPER_BASE: "Xenova/whisper-base",
+    WHISPER_BASE_EN: "Xenova/whisper-base.en",
+    WHISPER_SMALL: "Xenova/whisper-small",
+    WHISPER_SMALL_EN: "Xenova/whisper-small.en",
+};
+
+export const DEFAULT_MODEL = ModelNames.WHISPER_TINY_EN;
+
+export const MODEL_DETAILS = {
+    [ModelNames.WHISPER_TINY_EN]: { label: "Tiny (English)", size: "~40MB", multilingual: false },
+    [ModelNames.WHISPER_TINY]: { label: "Tiny (Multilingual)", size: "~40MB", multilingual: true },
+    [ModelNames.WHISPER_BASE_EN]: { label: "Base (English)", size: "~75MB", multilingual: false },
+    [ModelNames.WHISPER_BASE]: { label: "Base (Multilingual)", size: "~75MB", multilingual: true },
+    [ModelNames.WHISPER_SMALL_EN]: { label: "Small (English)", size: "~250MB", multilingual: false },
+    [ModelNames.WHISPER_SMALL]: { label: "Small (Multilingual)", size: "~250MB", multilingual: true },
+};
+
+export const TranslationModelNames = {
+    NLLB_600M: "Xenova/nllb-200-distilled-600M",
+    OPUS_MT_EN_DE: "Xenova/opus-mt-en-de",
+    OPUS_MT_DE_EN: "Xenova/opus-mt-de-en",
+    OPUS_MT_EN_FR: "Xenova/opus-mt-en-fr",
+    OPUS_MT_FR_EN: "Xenova/opus-mt-fr-en",
+    OPUS_MT_EN_ES: "Xenova/opus-mt-en-es",
+    OPUS_MT_ES_EN: "Xenova/opus-mt-es-en",
+    OPUS_MT_EN_RU: "Xenova/opus-mt-en-ru",
+    OPUS_MT_RU_EN: "Xenova/opus-mt-ru-en",
+    OPUS_MT_EN_ZH: "Xenova/opus-mt-en-zh",
+    OPUS_MT_ZH_EN: "Xenova/opus-mt-zh-en",
+};
+
+export const DEFAULT_TRANSLATION_MODEL = TranslationModelNames.NLLB_600M;
+
+// `pair` is the [source, target] NLLB codes of single-pair models, null for models covering every LANGUAGES entry
+export const TRANSLATION_MODEL_DETAILS = {
+    [TranslationModelNames.NLLB_600M]: { label: "NLLB-200 distilled (translation)", size: "~600MB", pair: null },
+    [TranslationModelNames.OPUS_MT_EN_DE]: { label: "Opus-MT English → German (translation)", size: "~75MB", pair: ["eng_Latn", "deu_Latn"] },
+    [TranslationModelNames.OPUS_MT_DE_EN]: { label: "Opus-MT German → English (translation)", size: "~75MB", pair: ["deu_Latn", "eng_Latn"] },
+    [TranslationModelNames.OPUS_MT_EN_FR]: { label: "Opus-MT English → French (translation)", size: "~75MB", pair: ["eng_Latn", "fra_Latn"] },
+    [TranslationModelNames.OPUS_MT_FR_EN]: { label: "Opus-MT French → English (translation)", size: "~75MB", pair: ["fra_Latn", "eng_Latn"] },
+    [TranslationModelNames.OPUS_MT_EN_ES]: { label: "Opus-MT English → Spanish (translation)", size: "~75MB", pair: ["eng_Latn", "spa_Latn"] },
+    [TranslationModelNames.OPUS_MT_ES_EN]: { label: "Opus-MT Spanish → English (translation)", size: "~75MB", pair: ["spa_Latn", "eng_Latn"] },
+    [TranslationModelNames.OPUS_MT_EN_RU]: { label: "Opus-MT English → Russian (translation)", size: "~75MB", pair: ["eng_Latn", "rus_Cyrl"] },
+    [TranslationModelNames.OPUS_MT_RU_EN]: { label: "Opus-MT Russian → English (translation)", size: "~75MB", pair: ["rus_Cyrl", "eng_Latn"] },
+    [TranslationModelNames.OPUS_MT_EN_ZH]: { label: "Opus-MT English → Chinese (translation)", size: "~75MB", pair: ["eng_Latn", "zho_Hans"] },
+    [TranslationModelNames.OPUS_MT_ZH_EN]: { label: "Opus-MT Chinese → English (translation)", size: "~75MB", pair: ["zho_Hans", "eng_Latn"] },
+};
+
+export const SUMMARIZATION_MODEL = "Xenova/distilbart-cnn-6-6";
+
+export const SUMMARIZATION_MODEL_DETAILS = {
+    [SUMMARIZATION_MODEL]: { label: "DistilBART CNN (summarization)", size: "~300MB" },
+};
+
+// Languages Whisper can transcribe, keyed by the name the tokenizer reports,
+// mapped to the matching NLLB code (null when NLLB has no equivalent)
+export const WHISPER_LANGUAGES = {
+    "afrikaans": "afr_Latn",
+    "albanian": "als_Latn",
+    "amharic": "amh_Ethi",
+    "arabic": "arb_Arab",
+    "armenian": "hye_Armn",
+    "assamese": "asm_Beng",
+    "azerbaijani": "azj_Latn",
+    "bashkir": "bak_Cyrl",
+    "basque": "eus_Latn",
+    "belarusian": "bel_Cyrl",
+    "bengali": "ben_Beng",
+    "bosnian": "bos_Latn",
+    "breton": null,
+    "bulgarian": "bul_Cyrl",
+    "catalan": "cat_Latn",
+    "chinese": "zho_Hans",
+    "croatian": "hrv_Latn",
+    "czech": "ces_Latn",
+    "danish": "dan_Latn",
+    "dutch": "nld_Latn",
+    "english": "eng_Latn",
+    "estonian": "est_Latn",
+    "faroese": "fao_Latn",
+    "finnish": "fin_Latn",
+    "french": "fra_Latn",
+    "galician": "glg_Latn",
+    "georgian": "kat_Geor",
+    "german": "deu_Latn",
+    "greek": "ell_Grek",
+    "gujarati": "guj_Gujr",
+    "haitian creole": "hat_Latn",
+    "hausa": "hau_Latn",
+    "hawaiian": null,
+    "hebrew": "heb_Hebr",
+    "hindi": "hin_Deva",
+    "hungarian": "hun_Latn",
+    "icelandic": "isl_Latn",
+    "indonesian": "ind_Latn",
+    "italian": "ita_Latn",
+    "japanese": "jpn_Jpan",
+    "javanese": "jav_Latn",
+    "kannada": "kan_Knda",
+    "kazakh": "kaz_Cyrl",
+    "khmer": "khm_Khmr",
+    "korean": "kor_Hang",
+    "lao": "lao_Laoo",
+    "latin": null,
+    "latvian": "lvs_Latn",
+    "lingala": "lin_Latn",
+    "lithuanian": "lit_Latn",
+    "luxembourgish": "ltz_Latn",
+    "macedonian": "mkd_Cyrl",
+    "malagasy": "plt_Latn",
+    "malay": "zsm_Latn",
+    "malayalam": "mal_Mlym",
+    "maltese": "mlt_Latn",
+    "maori": "mri_Latn",
+    "marathi": "mar_Deva",
+    "mongolian": "khk_Cyrl",
+    "myanmar": "mya_Mymr",
+    "nepali": "npi_Deva",
+    "norwegian": "nob_Latn",
+    "nynorsk": "nno_Latn",
+    "occitan": "oci_Latn",
+    "pashto": "pbt_Arab",
+    "persian": "pes_Arab",
+    "polish": "pol_Latn",
+    "portuguese": "por_Latn",
+    "punjabi": "pan_Guru",
+    "romanian": "ron_Latn",
+    "russian": "rus_Cyrl",
+    "sanskrit": "san_Deva",
+    "serbian": "srp_Cyrl",
+    "shona": "sna_Latn",
+    "sindhi": "snd_Arab",
+    "sinhala": "sin_Sinh",
+    "slovak": "slk_Latn",
+    "slovenian": "slv_Latn",
+    "somali": "som_Latn",
+    "spanish": "spa_Latn",
+    "sundanese": "sun_Latn",
+    "swahili": "swh_Latn",
+    "swedish": "swe_Latn",
+    "tagalog": "tgl_Latn",
+    "tajik": "tgk_Cyrl",
+    "tamil": "tam_Taml",
+    "tatar": "tat_Cyrl",
+    "telugu": "tel_Telu",
+    "thai": "tha_Thai",
+    "tibetan": "bod_Tibt",
+    "turkish": "tur_Latn",
+    "turkmen": "tuk_Latn",
+    "ukrainian": "ukr_Cyrl",
+    "urdu": "urd_Arab",
+    "uzbek": "uzn_Latn",
+    "vietnamese": "vie_Latn",
+    "welsh": "cym_Latn",
+    "yiddish": "ydd_Hebr",
+    "yoruba": "yor_Latn",
+};
+
+export const WhisperTasks = {
+    TRANSCRIBE: "transcribe",
+    TRANSLATE: "translate",
+};
+
+export const DEFAULT_DECODING_OPTIONS = {
+    num_beams: 1,
+    temperature: 0,
+    chunk_length_s: 30,
+    stride_length_s: 5,
+    initial_prompt: "",
+};
+
+export const DECODING_LIMITS = {
+    num_beams: { min: 1, max: 5, step: 1 },
+    temperature: { min: 0, max: 1, step: 0.1 },
+    chunk_length_s: { min: 10, max: 30, step: 1 },
+    stride_length_s: { min: 0, max: 10, step: 0.5 },
 };
 
 export const LANGUAGES = {
@@ -0,0 +1,63 @@
+/**
+ * Formats a byte count for display (e.g. 12.3 MB)
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Human readable size
+ */
+export function formatBytes(bytes) {
+    if (!bytes) { return '0 B' }
+    const units = ['B', 'KB', 'MB', 'GB']
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1)
+    const value = bytes / 1024 ** exponent
+    return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`
+}
+
+/**
+ * Merges a model loading event into the per-file download state
+ * Understands the `initiate`, `progress` and `done` events emitted by transformers.js
+ * @param {Object<string, Object>} downloads - Current download state keyed by file
+ * @param {Object} data - The progress event
+ * @param {string} data.status - Event type
+ * @param {string} data.file - File being downloaded
+ * @param {string} [data.name] - Model the file belongs to
+ * @param {number} [data.progress] - Download progress percentage
+ * @param {number} [data.loaded] - Bytes loaded
+ * @param {number} [data.total] - Total bytes to load
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Object<string, Object>} New download state
+ */
+export function updateDownloads(downloads, data, now = Date.now()) {
+    const { status, file, name } = data
+    if (!file) { return downloads }
+
+    const key = name ? `${name}/${file}` : file
+    const entry = downloads[key] ?? { key, file, name, progress: 0, loaded: 0, total: 0, startedAt: now, done: false }
+
+    switch (status) {
+        case 'progress':
+            return {
+                ...downloads,
+                [key]: { ...entry, progress: data.progress ?? entry.progress, loaded: data.loaded ?? entry.loaded, total: data.total ?? entry.total, updatedAt: now }
+            }
+        case 'done':
+            return { ...downloads, [key]: { ...entry, progress: 100, loaded: entry.total || entry.loaded, done: true, updatedAt: now } }
+        case 'initiate':
+            return downloads[key] ? downloads : { ...downloads, [key]: entry }
+        default:
+            return downloads
+    }
+}
+
+/**
+ * Estimates the seconds left for a download from its average speed so far
+ * @param {{loaded: number, total: number, startedAt: number, updatedAt?: number, done: boolean}} entry - Download state of a file
+ * @returns {number|null} Seconds remaining, or null if it cannot be estimated yet
+ */
+export function estimateRemaining(entry) {
+    if (entry.done || !entry.total || !entry.loaded || !entry.updatedAt) { return null }
+
+    const elapsed = (entry.updatedAt - entry.startedAt) / 1000
+    if (elapsed <= 0) { return null }
+
+    const rate = entry.loaded / elapsed
+    return (entry.total - entry.loaded) / rate
+}
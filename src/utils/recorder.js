@@ -0,0 +1,85 @@
+/**
+ * Recording formats in order of preference, the first one MediaRecorder supports is used
+ * @type {Array<string>}
+ */
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/mpeg']
+
+/**
+ * Input level (RMS, 0 to 1) under which the microphone is considered silent
+ * @type {number}
+ */
+export const SILENT_LEVEL = 0.01
+
+/**
+ * How long the input has to stay silent before the user is warned, in milliseconds
+ * @type {number}
+ */
+export const SILENCE_WARNING_DELAY = 3000
+
+/**
+ * Picks the recording format from what this browser's MediaRecorder actually supports
+ * @returns {string} The MIME type, or an empty string to let the browser choose
+ */
+export function getRecordingMimeType() {
+    if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) { return '' }
+    return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) ?? ''
+}
+
+/**
+ * Lists the audio input devices
+ * Some browsers hide device ids and labels until the user has granted microphone access once
+ * @returns {Promise<Array<{deviceId: string, label: string}>>} The microphones
+ */
+export async function listInputDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) { return [] }
+    const devices = await navigator.mediaDevices.enumerateDevices()
+    return devices
+        .filter(device => device.kind === 'audioinput' && device.deviceId)
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Microphone ${i + 1}` }))
+}
+
+/**
+ * Opens a microphone
+ * @param {string|null} [deviceId=null] - The device to open, or null for the default one
+ * @returns {Promise<MediaStream>} The microphone stream
+ */
+export function openMicrophone(deviceId = null) {
+    return navigator.mediaDevices.getUserMedia({
+        audio: deviceId ? { deviceId: { exact: deviceId } } : true,
+        video: false
+    })
+}
+
+/**
+ * Measures the input level of a stream on every animation frame
+ * @param {MediaStream} stream - The microphone stream
+ * @param {Function} onLevel - Called with the RMS level of the latest samples, from 0 to 1
+ * @returns {Function} Stops measuring and releases the audio context
+ */
+export function startLevelMeter(stream, onLevel) {
+    const context = new AudioContext()
+    const source = context.createMediaStreamSource(stream)
+    const analyser = context.createAnalyser()
+    analyser.fftSize = 2048
+    source.connect(analyser)
+
+    const samples = new Float32Array(analyser.fftSize)
+    let frame
+
+    function measure() {
+        analyser.getFloatTimeDomainData(samples)
+        let sum = 0
+        for (const sample of samples) {
+            sum += sample * sample
+        }
+        onLevel(Math.sqrt(sum / samples.length))
+        frame = requestAnimationFrame(measure)
+    }
+    measure()
+
+    return () => {
+        cancelAnimationFrame(frame)
+        source.disconnect()
+        context.close()
+    }
+}
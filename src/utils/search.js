@@ -0,0 +1,52 @@
+/**
+ * Escapes the characters that have a meaning in regular expressions
+ * @param {string} text
+ * @returns {string} The text, safe to embed in a pattern
+ */
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Wraps a pattern so it only matches whole words, in any script
+ * @param {string} source - The pattern source
+ * @returns {string} The wrapped pattern source, to compile with the `u` flag
+ */
+export function wholeWordSource(source) {
+    return `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`
+}
+
+/**
+ * Builds the expression a transcript search matches with
+ * @param {string} query - The text typed in the search box
+ * @param {Object} [options]
+ * @param {boolean} [options.matchCase=false] - Whether upper and lower case must match
+ * @param {boolean} [options.wholeWord=false] - Whether only whole words match
+ * @returns {RegExp|null} The expression, or null for an empty query
+ */
+export function buildSearchPattern(query, { matchCase = false, wholeWord = false } = {}) {
+    const text = query.trim()
+    if (!text) { return null }
+    const source = escapeRegExp(text)
+    return new RegExp(wholeWord ? wholeWordSource(source) : source, matchCase ? 'gu' : 'giu')
+}
+
+/**
+ * Finds the segments matching a search
+ * @param {Array<{text: string, start: number}>} segments - The segments to search
+ * @param {RegExp|null} pattern - From buildSearchPattern
+ * @returns {Array<{index: number, start: number, text: string, ranges: Array<Array<number>>}>}
+ * One result per matching segment, with the [from, to) character range of each match
+ */
+export function searchSegments(segments, pattern) {
+    if (!pattern) { return [] }
+
+    const results = []
+    segments.forEach((segment, index) => {
+        const ranges = [...segment.text.matchAll(pattern)].map(match => [match.index, match.index + match[0].length])
+        if (ranges.length > 0) {
+            results.push({ index, start: segment.start, text: segment.text, ranges })
+        }
+    })
+    return results
+}
@@ -0,0 +1,184 @@
+/**
+ * Smallest duration a segment can be retimed to, in seconds
+ * @type {number}
+ */
+export const MIN_SEGMENT_DURATION = 0.1
+
+/**
+ * Seconds of audio at the end of a live window whose segments are not finalised yet
+ * @type {number}
+ */
+export const LIVE_STABILITY_MARGIN = 2
+
+/**
+ * Window length in seconds after which live segments are finalised regardless of stability
+ * @type {number}
+ */
+export const LIVE_MAX_WINDOW = 20
+
+/**
+ * Rounds a time to centisecond precision, matching the worker output
+ * @param {number} value - Time in seconds
+ * @returns {number} The rounded time
+ */
+function roundTime(value) {
+    return Math.round(value * 100) / 100
+}
+
+/**
+ * Copies a segment without its word timings, for edits that would leave them out of step with the text
+ * @param {Object} segment - The segment
+ * @returns {Object} The segment, or a copy of it without `words`
+ */
+export function withoutWords(segment) {
+    if (!segment.words) { return segment }
+    const copy = { ...segment }
+    delete copy.words
+    return copy
+}
+
+/**
+ * Renumbers the `index` field of each segment to match its position
+ * @param {Array<Object>} segments - The segments to renumber
+ * @returns {Array<Object>} New array of renumbered segments
+ */
+export function reindexSegments(segments) {
+    return segments.map((segment, index) => segment.index === index ? segment : { ...segment, index })
+}
+
+/**
+ * Replaces the text of a segment
+ * Word timings are dropped once the text changes, as they no longer match it
+ * @param {Array<Object>} segments - The current segments
+ * @param {number} i - Position of the segment to edit
+ * @param {string} text - The new text
+ * @returns {Array<Object>} New array of segments
+ */
+export function updateSegmentText(segments, i, text) {
+    return segments.map((segment, index) => {
+        if (index !== i || segment.text === text) { return segment }
+        return { ...withoutWords(segment), text }
+    })
+}
+
+/**
+ * Assigns a segment to another speaker
+ * @param {Array<Object>} segments - The current segments
+ * @param {number} i - Position of the segment to edit
+ * @param {string} speaker - The speaker id
+ * @returns {Array<Object>} New array of segments
+ */
+export function setSegmentSpeaker(segments, i, speaker) {
+    return segments.map((segment, index) => index === i ? { ...segment, speaker } : segment)
+}
+
+/**
+ * Splits a segment in two at a character position
+ * When the segment has word timings it is split at the start of the first word after the
+ * cursor, otherwise the split time is interpolated from the share of text before the cursor
+ * @param {Array<Object>} segments - The current segments
+ * @param {number} i - Position of the segment to split
+ * @param {number} cursor - Character offset in the segment text to split at
+ * @returns {Array<Object>} New array of segments, unchanged if the cursor is at either end
+ */
+export function splitSegment(segments, i, cursor) {
+    const segment = segments[i]
+    const before = segment.text.slice(0, cursor).trim()
+    const after = segment.text.slice(cursor).trim()
+    if (!before || !after) { return segments }
+
+    const countWords = (text) => text.split(/\s+/).length
+    const wordCount = countWords(before)
+    if (segment.words?.length === wordCount + countWords(after)) {
+        const splitTime = segment.words[wordCount].start
+        return reindexSegments([
+            ...segments.slice(0, i),
+            { ...segment, text: before, end: splitTime, words: segment.words.slice(0, wordCount) },
+            { ...segment, text: after, start: splitTime, words: segment.words.slice(wordCount) },
+            ...segments.slice(i + 1)
+        ])
+    }
+
+    const ratio = cursor / segment.text.length
+    const splitTime = roundTime(segment.start + (segment.end - segment.start) * ratio)
+
+    return reindexSegments([
+        ...segments.slice(0, i),
+        { ...withoutWords(segment), text: before, end: splitTime },
+        { ...withoutWords(segment), text: after, start: splitTime },
+        ...segments.slice(i + 1)
+    ])
+}
+
+/**
+ * Merges a segment with the one that follows it
+ * @param {Array<Object>} segments - The current segments
+ * @param {number} i - Position of the first segment to merge
+ * @returns {Array<Object>} New array of segments, unchanged if there is no following segment
+ */
+export function mergeWithNext(segments, i) {
+    if (i < 0 || i >= segments.length - 1) { return segments }
+
+    const first = segments[i]
+    const second = segments[i + 1]
+    const merged = { ...withoutWords(first), text: `${first.text} ${second.text}`.trim(), end: Math.max(first.end, second.end) }
+    if (first.words && second.words) {
+        merged.words = [...first.words, ...second.words]
+    }
+
+    return reindexSegments([
+        ...segments.slice(0, i),
+        merged,
+        ...segments.slice(i + 2)
+    ])
+}
+
+/**
+ * Shifts the start or end time of a segment, keeping it at least MIN_SEGMENT_DURATION long
+ * @param {Array<Object>} segments - The current segments
+ * @param {number} i - Position of the segment to retime
+ * @param {'start'|'end'} edge - Which boundary to move
+ * @param {number} delta - Offset in seconds, negative to move earlier
+ * @returns {Array<Object>} New array of segments
+ */
+export function retimeSegment(segments, i, edge, delta) {
+    const segment = segments[i]
+    let { start, end } = segment
+
+    if (edge === 'start') {
+        start = Math.min(Math.max(0, start + delta), end - MIN_SEGMENT_DURATION)
+    } else {
+        end = Math.max(end + delta, start + MIN_SEGMENT_DURATION)
+    }
+
+    return segments.map((s, index) => index === i ? { ...s, start: roundTime(start), end: roundTime(end) } : s)
+}
+
+/**
+ * Splits the segments of a live transcription window into ones that are stable enough
+ * to finalise and ones that may still change when more audio arrives
+ * A segment is stable when it is not the last one and ends well before the window does.
+ * Long windows are forced to commit so the next window stays within Whisper's 30 seconds.
+ * @param {Array<Object>} segments - Segments of the window, with absolute timestamps
+ * @param {number} windowEnd - Absolute end time of the window in seconds
+ * @param {number} windowDuration - Length of the window in seconds
+ * @param {boolean} [final=false] - Whether this is the last window of the recording
+ * @returns {{stable: Array<Object>, tentative: Array<Object>}} The split segments
+ */
+export function splitStableSegments(segments, windowEnd, windowDuration, final = false) {
+    const kept = segments.filter(segment => segment.text)
+    if (final) {
+        return { stable: kept, tentative: [] }
+    }
+
+    let count = 0
+    while (count < kept.length - 1 && kept[count].end <= windowEnd - LIVE_STABILITY_MARGIN) {
+        count++
+    }
+
+    if (count === 0 && windowDuration > LIVE_MAX_WINDOW) {
+        count = Math.max(kept.length - 1, 1)
+    }
+
+    return { stable: kept.slice(0, count), tentative: kept.slice(count) }
+}
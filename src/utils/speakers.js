@@ -0,0 +1,52 @@
+/**
+ * Colours cycled through to tell speakers apart in the transcript
+ * @type {Array<string>}
+ */
+export const SPEAKER_COLORS = ['text-blue-500', 'text-rose-400', 'text-emerald-500', 'text-amber-500', 'text-violet-500', 'text-cyan-500']
+
+/**
+ * Speaker id for a channel or cluster index: A, B, C...
+ * @param {number} index - Zero-based index
+ * @returns {string} The speaker id
+ */
+export function getSpeakerId(index) {
+    return String.fromCharCode(65 + (index % 26))
+}
+
+/**
+ * Display name of a speaker, falling back to "Speaker A" style labels
+ * @param {Object<string, string>} [names] - Names chosen by the user, keyed by speaker id
+ * @param {string} id - The speaker id
+ * @returns {string} The speaker label
+ */
+export function getSpeakerLabel(names, id) {
+    return names?.[id]?.trim() || `Speaker ${id}`
+}
+
+/**
+ * Lists the speakers that appear in a transcript, in order of id
+ * @param {Array<{speaker?: string}>} segments - The segments
+ * @returns {Array<string>} Speaker ids
+ */
+export function listSpeakers(segments) {
+    return [...new Set(segments.map(segment => segment.speaker).filter(Boolean))].sort()
+}
+
+/**
+ * Colour class of a speaker
+ * @param {string} id - The speaker id
+ * @returns {string} Tailwind text colour class
+ */
+export function getSpeakerColor(id) {
+    return SPEAKER_COLORS[(id.charCodeAt(0) - 65) % SPEAKER_COLORS.length]
+}
+
+/**
+ * Replaces speaker ids with their display names, for exports
+ * @param {Array<Object>} segments - The segments
+ * @param {Object<string, string>} [names] - Names chosen by the user, keyed by speaker id
+ * @returns {Array<Object>} Segments whose `speaker` is the display label
+ */
+export function labelSpeakers(segments, names) {
+    return segments.map(segment => segment.speaker ? { ...segment, speaker: getSpeakerLabel(names, segment.speaker) } : segment)
+}
@@ -0,0 +1,167 @@
+import { pipeline, env } from '@xenova/transformers';
+import { MessageTypes, ErrorCodes, SUMMARIZATION_MODEL } from './presets';
+import { serializeError } from './errors';
+import { MAX_CHUNK_LENGTH, chunkSegments, splitSentences, findSourceSegments } from './summary';
+
+// Models always come from the Hub (or the browser cache), never from the app's own server
+env.allowLocalModels = false;
+
+class MySummarizationPipeline {
+    static task = 'summarization';
+    static model = SUMMARIZATION_MODEL;
+    static instance = null;
+
+    /**
+     * Returns the loaded pipeline, loading it on first use
+     * @param {Function} [progress_callback] - Receives download progress events
+     * @returns {Promise<Function>} The summarization pipeline
+     */
+    static async getInstance(progress_callback = null) {
+        if (this.instance === null) {
+            // Only stored once loaded, so a failed download is retried by the next request
+            this.instance = await pipeline(this.task, this.model, { progress_callback });
+        }
+
+        return this.instance;
+    }
+}
+
+/**
+ * Ids of jobs the main thread asked to cancel
+ * @type {Set<number>}
+ */
+const cancelledJobs = new Set()
+
+/**
+ * Chain of pending jobs, so summaries run one at a time
+ * @type {Promise<void>}
+ */
+let jobQueue = Promise.resolve()
+
+self.addEventListener('message', async (event) => {
+    if (event.data.type === MessageTypes.CANCEL) {
+        cancelledJobs.add(event.data.job_id)
+        return
+    }
+
+    if (event.data.type === MessageTypes.LOAD_MODEL) {
+        jobQueue = jobQueue.then(() => loadModel(event.data.job_id))
+        return
+    }
+
+    jobQueue = jobQueue.then(() => summarize(event.data))
+})
+
+/**
+ * Downloads and initialises the summarization model without summarizing anything,
+ * so it is cached for offline use
+ * @param {number} job_id - Id of the job assigned by the main thread
+ * @returns {Promise<void>}
+ */
+async function loadModel(job_id) {
+    try {
+        await MySummarizationPipeline.getInstance(x => {
+            self.postMessage({ ...x, job_id })
+        })
+    } catch (err) {
+        sendErrorMessage(job_id, serializeError(err, ErrorCodes.MODEL_DOWNLOAD))
+        return
+    }
+
+    self.postMessage({ type: MessageTypes.MODEL_READY, job_id, model_name: MySummarizationPipeline.model })
+}
+
+/**
+ * Summarizes a transcript chunk by chunk, so long transcripts fit the model
+ * Every sentence of a chunk summary becomes a key point linked to the segments it most
+ * likely came from, and the chunk summaries are summarized again into the overall summary.
+ * An 'update' message is sent after each chunk, and cancellation is checked between chunks
+ * @param {Object} request - The summarization request
+ * @param {number} request.job_id - Id of the job assigned by the main thread
+ * @param {Array<{text: string, start: number, end: number}>} request.segments - The transcript segments
+ * @returns {Promise<void>}
+ */
+async function summarize({ job_id, segments }) {
+    if (cancelledJobs.delete(job_id)) { return }
+
+    let summarizer
+    try {
+        summarizer = await MySummarizationPipeline.getInstance(x => {
+            self.postMessage({ ...x, job_id })
+        })
+    } catch (err) {
+        sendErrorMessage(job_id, serializeError(err, ErrorCodes.MODEL_DOWNLOAD))
+        return
+    }
+
+    const chunks = chunkSegments(segments)
+    const total = chunks.length + 1
+    const keyPoints = []
+    const chunkSummaries = []
+
+    try {
+        for (const [i, chunk] of chunks.entries()) {
+            if (cancelledJobs.has(job_id)) { return }
+
+            const [result] = await summarizer(chunk.text)
+            chunkSummaries.push(result.summary_text.trim())
+            for (const sentence of splitSentences(result.summary_text)) {
+                const sources = findSourceSegments(sentence, segments, chunk.indices)
+                keyPoints.push({ text: sentence, sources: sources.map(index => ({ start: segments[index].start, end: segments[index].end })) })
+            }
+
+            self.postMessage({
+                status: 'update',
+                job_id,
+                keyPoints: [...keyPoints],
+                completed: i + 1,
+                total
+            })
+        }
+
+        // Chunk summaries are summarized again until they fit one pass, then once more overall
+        let summaries = chunkSummaries
+        while (summaries.length > 1 && summaries.join(' ').length > MAX_CHUNK_LENGTH) {
+            if (cancelledJobs.has(job_id)) { return }
+            const next = []
+            for (const group of chunkSegments(summaries.map(text => ({ text })))) {
+                const [result] = await summarizer(group.text)
+                next.push(result.summary_text.trim())
+            }
+            summaries = next
+        }
+
+        if (cancelledJobs.has(job_id)) { return }
+        let summary = summaries.join(' ')
+        if (summaries.length > 1) {
+            const [result] = await summarizer(summary)
+            summary = result.summary_text.trim()
+        }
+
+        self.postMessage({
+            status: 'complete',
+            job_id,
+            summary,
+            keyPoints,
+            completed: total,
+            total
+        })
+    } catch (err) {
+        sendErrorMessage(job_id, serializeError(err, ErrorCodes.SUMMARIZATION))
+    } finally {
+        cancelledJobs.delete(job_id)
+    }
+}
+
+/**
+ * Sends a structured error message to the main thread
+ * @param {number} job_id - Id of the failed job
+ * @param {{code: string, message: string}} error - The serialized error
+ */
+function sendErrorMessage(job_id, error) {
+    self.postMessage({
+        type: MessageTypes.ERROR,
+        job_id,
+        error
+    })
+}
@@ -0,0 +1,116 @@
+/**
+ * Longest piece of transcript summarized at once, in characters, keeping well under
+ * the 1024 tokens the summarization model reads
+ * @type {number}
+ */
+export const MAX_CHUNK_LENGTH = 3000
+
+/**
+ * Most source segments a key point links to
+ * @type {number}
+ */
+const MAX_SOURCES = 2
+
+/**
+ * @typedef {Object} KeyPoint
+ * @property {string} text - The key point, one sentence of a chunk summary
+ * @property {Array<{start: number, end: number}>} sources - Time spans of the transcript segments it came from,
+ * which still point at the right place after segments are split, merged or deleted
+ */
+
+/**
+ * Groups consecutive segments into chunks short enough to summarize in one pass
+ * A single segment longer than the limit gets a chunk of its own
+ * @param {Array<{text: string}>} segments - The segments to group
+ * @param {number} [maxLength=MAX_CHUNK_LENGTH] - Longest chunk, in characters
+ * @returns {Array<{text: string, indices: Array<number>}>} Each chunk's text and the indices of its segments
+ */
+export function chunkSegments(segments, maxLength = MAX_CHUNK_LENGTH) {
+    const chunks = []
+    let current = null
+
+    segments.forEach((segment, index) => {
+        const text = segment.text.trim()
+        if (!text) { return }
+
+        if (current && current.text.length + text.length + 1 > maxLength) {
+            chunks.push(current)
+            current = null
+        }
+        current = current
+            ? { text: `${current.text} ${text}`, indices: [...current.indices, index] }
+            : { text, indices: [index] }
+    })
+
+    if (current) { chunks.push(current) }
+    return chunks
+}
+
+/**
+ * Splits a summary into sentences
+ * @param {string} text - The summary
+ * @returns {Array<string>} The sentences, trimmed
+ */
+export function splitSentences(text) {
+    return (text.match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) ?? [])
+        .map(sentence => sentence.trim())
+        .filter(Boolean)
+}
+
+/**
+ * Lower-cased words of a text, leaving out the short ones that say little about its topic
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function contentWords(text) {
+    return new Set((text.toLowerCase().match(/[\p{L}\p{N}']+/gu) ?? []).filter(word => word.length > 3))
+}
+
+/**
+ * Finds the segments of a chunk a summary sentence was most likely drawn from,
+ * by the number of words they share
+ * @param {string} sentence - A sentence of the chunk summary
+ * @param {Array<{text: string}>} segments - All the transcript segments
+ * @param {Array<number>} indices - Indices of the segments in the chunk
+ * @returns {Array<number>} Indices of the best matching segments in transcript order,
+ * or the first segment of the chunk when no words are shared
+ */
+export function findSourceSegments(sentence, segments, indices) {
+    const words = contentWords(sentence)
+    const scored = indices
+        .map(index => {
+            const shared = [...contentWords(segments[index].text)].filter(word => words.has(word)).length
+            return { index, shared }
+        })
+        .filter(entry => entry.shared > 0)
+        .sort((a, b) => b.shared - a.shared)
+        .slice(0, MAX_SOURCES)
+        .map(entry => entry.index)
+
+    return scored.length > 0 ? scored.sort((a, b) => a - b) : [indices[0]]
+}
+
+/**
+ * Time spans a key point links to
+ * Summaries saved before sources were stored as times hold segment indices instead, which are
+ * looked up in the current segments and left out when they no longer exist
+ * @param {Array<{start: number, end: number}|number>} sources - The key point sources
+ * @param {Array<{start: number, end: number}>} segments - The transcript segments
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function resolveSources(sources, segments) {
+    return sources
+        .map(source => typeof source === 'number' ? segments[source] : source)
+        .filter(Boolean)
+        .map(({ start, end }) => ({ start, end }))
+}
+
+/**
+ * Plain text version of a summary, for copying
+ * @param {{summary: string, keyPoints: Array<KeyPoint>}} result - The summary and its key points
+ * @returns {string}
+ */
+export function summaryToText({ summary, keyPoints }) {
+    const points = keyPoints.map(point => `- ${point.text}`).join('\n')
+    return points ? `${summary}\n\nKey points\n${points}` : summary
+}
@@ -0,0 +1,36 @@
+/**
+ * Formats a time in seconds as a compact clock for display (M:SS or H:MM:SS)
+ * @param {number} seconds - Time in seconds
+ * @param {number} [decimals=0] - Number of fractional digits to show after the seconds
+ * @returns {string} The formatted time
+ */
+export function formatClock(seconds, decimals = 0) {
+    const factor = 10 ** decimals
+    const value = Math.max(0, seconds || 0)
+    const total = decimals ? Math.round(value * factor) / factor : Math.floor(value)
+    const whole = Math.floor(total)
+    const hours = Math.floor(whole / 3600)
+    const minutes = Math.floor((whole % 3600) / 60)
+    const fraction = decimals ? (total - whole).toFixed(decimals).slice(1) : ''
+    const secs = String(whole % 60).padStart(2, '0') + fraction
+
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    }
+    return `${minutes}:${secs}`
+}
+
+/**
+ * Finds the segment playing at the given time
+ * @param {Array<{start: number, end: number}>} segments - Timestamped segments
+ * @param {number} time - Playback position in seconds
+ * @returns {number} Index of the active segment, or -1 if none is playing
+ */
+export function findActiveSegment(segments, time) {
+    for (let i = segments.length - 1; i >= 0; i--) {
+        if (segments[i].start <= time && time < segments[i].end) {
+            return i
+        }
+    }
+    return -1
+}
@@ -1,40 +1,185 @@
-import { pipeline } from '@xenova/transformers';
+import { pipeline, env } from '@xenova/transformers';
+import { MessageTypes, ErrorCodes, DEFAULT_TRANSLATION_MODEL } from './presets';
+import { serializeError } from './errors';
+import { withoutWords } from './segments';
+import { protectTerms, restoreTerms } from './glossary';
+import { supportsPair, getTranslationOptions } from './translationModels';
+
+// Models always come from the Hub (or the browser cache), never from the app's own server
+env.allowLocalModels = false;
 
 class MyTranslationPipeline {
     static task = 'translation';
-    static model = 'Xenova/nllb-200-distilled-600M';
+    static model = null;
     static instance = null;
 
-    static async getInstance(progress_callback = null) {
-        if (this.instance === null) {
-            this.instance = pipeline(this.task, this.model, { progress_callback });
+    /**
+     * Returns the loaded pipeline for a model, loading it on first use
+     * Only one translation model is kept in memory: switching models disposes of the previous one
+     * @param {string} [model_name] - Name of the translation model to load
+     * @param {Function} [progress_callback] - Receives download progress events
+     * @returns {Promise<Function>} The translation pipeline
+     */
+    static async getInstance(model_name = DEFAULT_TRANSLATION_MODEL, progress_callback = null) {
+        if (this.instance === null || this.model !== model_name) {
+            const previous = this.instance;
+            this.instance = null;
+            this.model = null;
+            await previous?.dispose();
+
+            // Only stored once loaded, so a failed download is retried by the next request
+            this.instance = await pipeline(this.task, model_name, { progress_callback });
+            this.model = model_name;
         }
 
         return this.instance;
     }
 }
 
+/**
+ * Ids of jobs the main thread asked to cancel
+ * @type {Set<number>}
+ */
+const cancelledJobs = new Set()
+
+/**
+ * Chain of pending jobs, so translations run one at a time
+ * @type {Promise<void>}
+ */
+let jobQueue = Promise.resolve()
+
 self.addEventListener('message', async (event) => {
-    let translator = await MyTranslationPipeline.getInstance(x => {
-        self.postMessage(x)
-    })
-    console.log(event.data)
-    let output = await translator(event.data.text, {
-        tgt_lang: event.data.tgt_lang,
-        src_lang: event.data.src_lang,
+    if (event.data.type === MessageTypes.CANCEL) {
+        cancelledJobs.add(event.data.job_id)
+        return
+    }
+
+    if (event.data.type === MessageTypes.LOAD_MODEL) {
+        jobQueue = jobQueue.then(() => loadModel(event.data.job_id, event.data.model_name))
+        return
+    }
+
+    jobQueue = jobQueue.then(() => translate(event.data))
+})
+
+/**
+ * Downloads and initialises the translation model without translating anything,
+ * so it is cached for offline use
+ * @param {number} job_id - Id of the job assigned by the main thread
+ * @param {string} [model_name] - Name of the translation model to load
+ * @returns {Promise<void>}
+ */
+async function loadModel(job_id, model_name = DEFAULT_TRANSLATION_MODEL) {
+    try {
+        await MyTranslationPipeline.getInstance(model_name, x => {
+            self.postMessage({ ...x, job_id })
+        })
+    } catch (err) {
+        sendErrorMessage(job_id, serializeError(err, ErrorCodes.MODEL_DOWNLOAD))
+        return
+    }
+
+    self.postMessage({ type: MessageTypes.MODEL_READY, job_id, model_name })
+}
+
+/**
+ * Translates the segments of a job into each target language in turn, one segment at a time,
+ * so every result keeps its source timing
+ * A 'complete' message is sent as each language finishes and 'finished' once all of them have.
+ * Cancellation is checked between segments
+ * @param {Object} request - The translation request
+ * @param {number} request.job_id - Id of the job assigned by the main thread
+ * @param {Array<Object>} request.segments - Segments to translate
+ * @param {string} request.src_lang - NLLB code of the source language
+ * @param {Array<string>} request.tgt_langs - NLLB codes of the target languages
+ * @param {string} [request.model_name] - Name of the translation model to use
+ * @param {Array<string>} [request.glossary] - Protected glossary terms that must not be translated
+ * @returns {Promise<void>}
+ */
+async function translate({ job_id, segments, src_lang, tgt_langs, model_name = DEFAULT_TRANSLATION_MODEL, glossary = [] }) {
+    if (cancelledJobs.delete(job_id)) { return }
+
+    const unsupported = tgt_langs.find(tgt_lang => !supportsPair(model_name, src_lang, tgt_lang))
+    if (unsupported) {
+        sendErrorMessage(job_id, serializeError(new Error(`${model_name} cannot translate from ${src_lang} to ${unsupported}`), ErrorCodes.TRANSLATION))
+        return
+    }
+
+    let translator
+    try {
+        translator = await MyTranslationPipeline.getInstance(model_name, x => {
+            self.postMessage({ ...x, job_id })
+        })
+    } catch (err) {
+        sendErrorMessage(job_id, serializeError(err, ErrorCodes.MODEL_DOWNLOAD))
+        return
+    }
+
+    const total = segments.length * tgt_langs.length
+
+    try {
+        for (const [l, tgt_lang] of tgt_langs.entries()) {
+            const output = []
+            const options = getTranslationOptions(model_name, src_lang, tgt_lang)
+
+            for (const [i, segment] of segments.entries()) {
+                if (cancelledJobs.has(job_id)) { return }
+
+                let text = ''
+                if (segment.text.trim()) {
+                    // Protected terms go through as placeholders, falling back to a plain
+                    // translation when the model does not copy every placeholder back
+                    const { text: protectedText, found } = protectTerms(segment.text, glossary)
+                    const [result] = await translator(protectedText, options)
+                    text = restoreTerms(result.translation_text, found)
+                    if (text === null) {
+                        const [plain] = await translator(segment.text, options)
+                        text = plain.translation_text
+                    }
+                }
+
+                // Word timings belong to the source text, not the translation
+                output.push({ ...withoutWords(segment), source: segment.text, text })
+
+                self.postMessage({
+                    status: 'update',
+                    job_id,
+                    tgt_lang,
+                    segment: output[i],
+                    completed: l * segments.length + i + 1,
+                    total
+                })
+            }
 
-        callback_function: x => {
             self.postMessage({
-                status: 'update',
-                output: translator.tokenizer.decode(x[0].output_token_ids, { skip_special_tokens: true })
+                status: 'complete',
+                job_id,
+                tgt_lang,
+                output
             })
         }
-    })
+    } catch (err) {
+        sendErrorMessage(job_id, serializeError(err, ErrorCodes.TRANSLATION))
+        return
+    } finally {
+        cancelledJobs.delete(job_id)
+    }
 
-    console.log('HEHEHHERERE', output)
+    self.postMessage({
+        status: 'finished',
+        job_id
+    })
+}
 
+/**
+ * Sends a structured error message to the main thread
+ * @param {number} job_id - Id of the failed job
+ * @param {{code: string, message: string}} error - The serialized error
+ */
+function sendErrorMessage(job_id, error) {
     self.postMessage({
-        status: 'complete',
-        output
+        type: MessageTypes.ERROR,
+        job_id,
+        error
     })
-})
\ No newline at end of file
+}
@@ -0,0 +1,50 @@
+import { LANGUAGES, TRANSLATION_MODEL_DETAILS } from './presets'
+
+/**
+ * Target languages a translation model can produce from a source language
+ * @param {string} model - The translation model id
+ * @param {string} src_lang - NLLB code of the source language
+ * @returns {Array<string>} NLLB codes of the reachable target languages
+ */
+export function listTargetLanguages(model, src_lang) {
+    const pair = TRANSLATION_MODEL_DETAILS[model]?.pair
+    if (pair === undefined) { return [] }
+    if (pair === null) {
+        return Object.values(LANGUAGES).filter(code => code !== src_lang)
+    }
+    return pair[0] === src_lang ? [pair[1]] : []
+}
+
+/**
+ * Whether a translation model can translate between two languages
+ * @param {string} model - The translation model id
+ * @param {string} src_lang - NLLB code of the source language
+ * @param {string} tgt_lang - NLLB code of the target language
+ * @returns {boolean}
+ */
+export function supportsPair(model, src_lang, tgt_lang) {
+    return listTargetLanguages(model, src_lang).includes(tgt_lang)
+}
+
+/**
+ * Options the translation pipeline needs to pick the language pair
+ * Single-pair models always translate the same way and take no language options
+ * @param {string} model - The translation model id
+ * @param {string} src_lang - NLLB code of the source language
+ * @param {string} tgt_lang - NLLB code of the target language
+ * @returns {Object} Options to pass along with the text
+ */
+export function getTranslationOptions(model, src_lang, tgt_lang) {
+    return TRANSLATION_MODEL_DETAILS[model]?.pair ? {} : { src_lang, tgt_lang }
+}
+
+/**
+ * Source languages a translation model can translate from
+ * @param {string} model - The translation model id
+ * @returns {Array<string>} NLLB codes of the supported source languages
+ */
+export function listSourceLanguages(model) {
+    const pair = TRANSLATION_MODEL_DETAILS[model]?.pair
+    if (pair === undefined) { return [] }
+    return pair === null ? Object.values(LANGUAGES) : [pair[0]]
+}
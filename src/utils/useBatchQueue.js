@@ -0,0 +1,162 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { MessageTypes, BatchStatus, ErrorCodes } from './presets'
+import { serializeError } from './errors'
+import { updateDownloads } from './progress'
+import { readAudioFrom, isSupportedFile, getAudioDuration } from './audio'
+import { saveTranscript, getDefaultTitle } from './db'
+
+/**
+ * Queue of files transcribed one after another through the shared Whisper worker
+ *
+ * Each item moves through queued → downloading → transcribing → done (or failed).
+ * Finished items are saved to the library, so each one gets its own results page.
+ * Items use the model, language, task, channel, speaker, silence, word timing and decoding options selected when their turn comes.
+ * Files in unsupported formats are added as failed, so the user sees why they were skipped.
+ *
+ * @param {{current: Worker|null}} worker - Ref to the Whisper worker shared with single-file transcription
+ * @param {{modelName: string, language: string|null, task: string, channelMode: string, numSpeakers: number|null, skipSilence: boolean, wordTimestamps: boolean, decoding: Object}} settings - Transcription options
+ * @returns {{items: Array<Object>, addFiles: Function, removeItem: Function, retryItem: Function, clearFinished: Function}}
+ */
+export function useBatchQueue(worker, settings) {
+    const [items, setItems] = useState([])
+
+    const nextId = useRef(0)
+    const jobCounter = useRef(0)
+    const active = useRef(null)
+    const latestSettings = useRef(settings)
+    latestSettings.current = settings
+
+    const updateItem = useCallback((id, changes) => {
+        setItems(curr => curr.map(item => {
+            if (item.id !== id) { return item }
+            return { ...item, ...(typeof changes === 'function' ? changes(item) : changes) }
+        }))
+    }, [])
+
+    const addFiles = useCallback((files) => {
+        const added = Array.from(files).map(file => {
+            nextId.current += 1
+            const supported = isSupportedFile(file)
+            return {
+                id: nextId.current,
+                file,
+                status: supported ? BatchStatus.QUEUED : BatchStatus.FAILED,
+                downloads: {},
+                duration: null,
+                transcribedUntil: 0,
+                error: supported ? null : { code: ErrorCodes.UNSUPPORTED_FORMAT, message: file.type || file.name },
+                record: null
+            }
+        })
+        setItems(curr => [...curr, ...added])
+    }, [])
+
+    const removeItem = useCallback((id) => {
+        if (active.current?.id === id) {
+            worker.current.postMessage({ type: MessageTypes.CANCEL, job_id: active.current.job_id })
+            active.current = null
+        }
+        setItems(curr => curr.filter(item => item.id !== id))
+    }, [worker])
+
+    const retryItem = useCallback((id) => {
+        updateItem(id, { status: BatchStatus.QUEUED, downloads: {}, transcribedUntil: 0, error: null })
+    }, [updateItem])
+
+    const clearFinished = useCallback(() => {
+        setItems(curr => curr.filter(item => item.status !== BatchStatus.DONE && item.status !== BatchStatus.FAILED))
+    }, [])
+
+    /**
+     * Effect hook to start the next queued item whenever the worker is free of batch work
+     */
+    useEffect(() => {
+        if (active.current) { return }
+        const next = items.find(item => item.status === BatchStatus.QUEUED)
+        if (!next) { return }
+
+        jobCounter.current += 1
+        const job = { id: next.id, job_id: `batch-${jobCounter.current}`, file: next.file, ...latestSettings.current, segments: [], detectedLanguage: null }
+        active.current = job
+
+        async function start() {
+            let audio
+            try {
+                audio = await readAudioFrom(job.file, job.channelMode)
+            } catch (err) {
+                if (active.current !== job) { return }
+                active.current = null
+                updateItem(job.id, { status: BatchStatus.FAILED, error: serializeError(err, ErrorCodes.AUDIO_DECODE) })
+                return
+            }
+            if (active.current !== job) { return }
+
+            updateItem(job.id, { status: BatchStatus.TRANSCRIBING, duration: getAudioDuration(audio) })
+            worker.current.postMessage({
+                type: MessageTypes.INFERENCE_REQUEST,
+                job_id: job.job_id,
+                audio,
+                model_name: job.modelName,
+                language: job.language,
+                task: job.task,
+                num_speakers: job.numSpeakers,
+                vad: job.skipSilence,
+                word_timestamps: job.wordTimestamps,
+                decoding: job.decoding
+            })
+        }
+
+        start()
+    }, [items, worker, updateItem])
+
+    /**
+     * Effect hook to follow the progress of the active item through the worker messages
+     */
+    useEffect(() => {
+        if (!worker.current) { return }
+
+        const onMessageReceived = (e) => {
+            const job = active.current
+            if (!job || e.data.job_id !== job.job_id) { return }
+
+            switch (e.data.type) {
+                case MessageTypes.DOWNLOADING:
+                    updateItem(job.id, item => ({ status: BatchStatus.DOWNLOADING, downloads: updateDownloads(item.downloads, e.data) }))
+                    break;
+                case MessageTypes.RESULT: {
+                    job.segments = e.data.results
+                    job.detectedLanguage = e.data.language
+                    const last = e.data.results[e.data.results.length - 1]
+                    updateItem(job.id, { status: BatchStatus.TRANSCRIBING, transcribedUntil: last?.end ?? 0 })
+                    break;
+                }
+                case MessageTypes.INFERENCE_DONE:
+                    active.current = null
+                    saveTranscript({
+                        title: getDefaultTitle(job.file.name),
+                        modelName: job.modelName,
+                        task: job.task,
+                        language: job.detectedLanguage,
+                        audio: job.file,
+                        segments: job.segments,
+                        translations: {},
+                        settings: e.data.settings ?? null
+                    })
+                        .then(record => updateItem(job.id, { status: BatchStatus.DONE, record }))
+                        .catch(err => updateItem(job.id, { status: BatchStatus.FAILED, error: serializeError(err, ErrorCodes.STORAGE) }))
+                    break;
+                case MessageTypes.ERROR:
+                    active.current = null
+                    updateItem(job.id, { status: BatchStatus.FAILED, error: e.data.error })
+                    break;
+            }
+        }
+
+        const target = worker.current
+        target.addEventListener('message', onMessageReceived)
+
+        return () => target.removeEventListener('message', onMessageReceived)
+    })
+
+    return { items, addFiles, removeItem, retryItem, clearFinished }
+}
@@ -0,0 +1,68 @@
+import { useState, useCallback } from 'react'
+
+/**
+ * Maximum number of undo steps kept in memory
+ * @type {number}
+ */
+const MAX_HISTORY = 100
+
+/**
+ * State hook with undo/redo support
+ *
+ * Every call to `set` records the previous value so it can be restored with `undo`.
+ * `reset` replaces the value and clears the history, e.g. when new worker results arrive.
+ *
+ * @param {*} initialPresent - The initial value
+ * @returns {{present: *, set: Function, undo: Function, redo: Function, reset: Function, canUndo: boolean, canRedo: boolean}}
+ */
+export function useHistory(initialPresent) {
+    const [history, setHistory] = useState({ past: [], present: initialPresent, future: [] })
+
+    const set = useCallback((updater) => {
+        setHistory(curr => {
+            const next = typeof updater === 'function' ? updater(curr.present) : updater
+            if (next === curr.present) { return curr }
+            return {
+                past: [...curr.past, curr.present].slice(-MAX_HISTORY),
+                present: next,
+                future: []
+            }
+        })
+    }, [])
+
+    const undo = useCallback(() => {
+        setHistory(curr => {
+            if (curr.past.length === 0) { return curr }
+            return {
+                past: curr.past.slice(0, -1),
+                present: curr.past[curr.past.length - 1],
+                future: [curr.present, ...curr.future]
+            }
+        })
+    }, [])
+
+    const redo = useCallback(() => {
+        setHistory(curr => {
+            if (curr.future.length === 0) { return curr }
+            return {
+                past: [...curr.past, curr.present],
+                present: curr.future[0],
+                future: curr.future.slice(1)
+            }
+        })
+    }, [])
+
+    const reset = useCallback((present) => {
+        setHistory({ past: [], present, future: [] })
+    }, [])
+
+    return {
+        present: history.present,
+        set,
+        undo,
+        redo,
+        reset,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * Length of the frames speech is detected on, in seconds
+ * @type {number}
+ */
+const FRAME_DURATION = 0.03
+
+/**
+ * How far above the noise floor, in dB, a frame must be to count as speech
+ * @type {number}
+ */
+const SPEECH_MARGIN_DB = 12
+
+/**
+ * Frames quieter than this, in dBFS, are always silence, even in very quiet recordings
+ * @type {number}
+ */
+const ABSOLUTE_FLOOR_DB = -55
+
+/**
+ * Pauses shorter than this, in seconds, are kept inside a speech region
+ * @type {number}
+ */
+const MIN_SILENCE = 0.6
+
+/**
+ * Speech regions shorter than this, in seconds, are treated as clicks and dropped
+ * @type {number}
+ */
+const MIN_SPEECH = 0.25
+
+/**
+ * Audio kept before and after each speech region, in seconds, so word edges are not clipped
+ * @type {number}
+ */
+const PADDING = 0.2
+
+/**
+ * Silence inserted between speech regions in the compacted audio, in seconds,
+ * so Whisper still hears a pause where one was cut out
+ * @type {number}
+ */
+const GAP = 0.3
+
+/**
+ * Finds the stretches of a recording that contain speech, from frame energy
+ * The threshold adapts to the recording's noise floor, so it works for both
+ * studio audio and noisy phone calls
+ * @param {Float32Array} audio - Mono audio
+ * @param {number} samplingRate - Sampling rate of the audio
+ * @returns {Array<{start: number, end: number}>} Speech regions in seconds, in order
+ */
+export function detectSpeech(audio, samplingRate) {
+    const frameSize = Math.round(FRAME_DURATION * samplingRate)
+    const frameCount = Math.floor(audio.length / frameSize)
+    if (frameCount === 0) { return [] }
+
+    const levels = new Float32Array(frameCount)
+    for (let frame = 0; frame < frameCount; frame++) {
+        let energy = 0
+        for (let i = frame * frameSize; i < (frame + 1) * frameSize; i++) {
+            energy += audio[i] * audio[i]
+        }
+        levels[frame] = 10 * Math.log10(energy / frameSize + 1e-12)
+    }
+
+    const noiseFloor = [...levels].sort((a, b) => a - b)[Math.floor(frameCount * 0.1)]
+    const threshold = Math.max(noiseFloor + SPEECH_MARGIN_DB, ABSOLUTE_FLOOR_DB)
+
+    const regions = []
+    let current = null
+    levels.forEach((level, frame) => {
+        const time = frame * FRAME_DURATION
+        if (level < threshold) { return }
+        if (current && time - current.end <= MIN_SILENCE) {
+            current.end = time + FRAME_DURATION
+        } else {
+            current = { start: time, end: time + FRAME_DURATION }
+            regions.push(current)
+        }
+    })
+
+    const duration = audio.length / samplingRate
+    return regions
+        .filter(region => region.end - region.start >= MIN_SPEECH)
+        .map(region => ({ start: Math.max(0, region.start - PADDING), end: Math.min(duration, region.end + PADDING) }))
+        .reduce((merged, region) => {
+            const last = merged[merged.length - 1]
+            if (last && region.start <= last.end) {
+                last.end = region.end
+            } else {
+                merged.push({ ...region })
+            }
+            return merged
+        }, [])
+}
+
+/**
+ * Joins the speech regions of a recording into shorter audio, with a short gap between them
+ * @param {Float32Array} audio - Mono audio
+ * @param {Array<{start: number, end: number}>} regions - Speech regions in seconds
+ * @param {number} samplingRate - Sampling rate of the audio
+ * @returns {{audio: Float32Array, timeMap: Array<{compactStart: number, originalStart: number, duration: number}>}}
+ * The compacted audio and where each region came from
+ */
+export function compactSpeech(audio, regions, samplingRate) {
+    const gapSamples = Math.round(GAP * samplingRate)
+    const slices = regions.map(region => audio.subarray(Math.floor(region.start * samplingRate), Math.ceil(region.end * samplingRate)))
+    const length = slices.reduce((total, slice) => total + slice.length, 0) + gapSamples * Math.max(0, slices.length - 1)
+
+    const compact = new Float32Array(length)
+    const timeMap = []
+    let position = 0
+    slices.forEach((slice, i) => {
+        compact.set(slice, position)
+        timeMap.push({ compactStart: position / samplingRate, originalStart: regions[i].start, duration: slice.length / samplingRate })
+        position += slice.length + gapSamples
+    })
+
+    return { audio: compact, timeMap }
+}
+
+/**
+ * Converts a time in the compacted audio back to the original recording
+ * Times inside an inserted gap are clamped to the end of the region before it
+ * @param {Array<{compactStart: number, originalStart: number, duration: number}>} timeMap - From compactSpeech
+ * @param {number} time - Time in the compacted audio, in seconds
+ * @returns {number} Time in the original recording, in seconds
+ */
+export function toOriginalTime(timeMap, time) {
+    if (timeMap.length === 0) { return time }
+
+    let entry = timeMap[0]
+    for (const candidate of timeMap) {
+        if (candidate.compactStart > time) { break }
+        entry = candidate
+    }
+    return entry.originalStart + Math.min(Math.max(time - entry.compactStart, 0), entry.duration)
+}
@@ -1,9 +1,17 @@
-import { pipeline } from '@xenova/transformers'
-import { MessageTypes } from './presets'
+import { pipeline, env } from '@xenova/transformers'
+import { MessageTypes, DEFAULT_MODEL, MODEL_DETAILS, WhisperTasks, ErrorCodes, DEFAULT_DECODING_OPTIONS, DECODING_LIMITS } from './presets'
+import { CancelledError, serializeError } from './errors'
+import { getSpeakerId } from './speakers'
+import { diarizeSegments } from './diarization'
+import { WHISPER_SAMPLING_RATE } from './audio'
+import { detectSpeech, compactSpeech, toOriginalTime } from './vad'
+
+// Models always come from the Hub (or the browser cache), never from the app's own server
+env.allowLocalModels = false
 
 /**
- * Singleton class for managing the Whisper transcription pipeline
- * Ensures only one instance of the pipeline is created and reused
+ * Cache of Whisper transcription pipelines
+ * Each model is loaded once and reused for every later request that asks for it
  */
 class MyTranscriptionPipeline {
     /**
@@ -13,80 +21,312 @@ class MyTranscriptionPipeline {
     static task = 'automatic-speech-recognition'
 
     /**
-     * Model name for the transcription pipeline
+     * Model used when a request does not name one
      * @type {string}
      */
-    static model = 'openai/whisper-tiny.en'
+    static model = DEFAULT_MODEL
 
     /**
-     * Singleton instance of the transcription pipeline
-     * @type {Pipeline|null}
+     * Pipeline instances keyed by model name
+     * @type {Object<string, Pipeline>}
      */
-    static instance = null
+    static instances = {}
 
     /**
-     * Gets or creates a singleton instance of the transcription pipeline
+     * Gets or creates the transcription pipeline for the given model
+     * @param {string} [model_name] - Name of the Whisper model to load
      * @param {Function|null} progress_callback - Optional callback for tracking model loading progress
      * @returns {Promise<Pipeline>} The transcription pipeline instance
      */
-    static async getInstance(progress_callback = null) {
-        if (this.instance === null) {
-            this.instance = await pipeline(this.task, null, { progress_callback })
+    static async getInstance(model_name = this.model, progress_callback = null) {
+        if (!this.instances[model_name]) {
+            this.instances[model_name] = await pipeline(this.task, model_name, { progress_callback })
         }
 
-        return this.instance
+        return this.instances[model_name]
     }
 }
 
+/**
+ * Id of the job currently being processed, echoed in every message sent to the main thread
+ * @type {number|null}
+ */
+let currentJobId = null
+
+/**
+ * Most initial prompt tokens kept, the last ones, so the prompt never takes more than
+ * half of the 448 tokens Whisper decodes at once
+ * @type {number}
+ */
+const MAX_PROMPT_TOKENS = 223
+
+/**
+ * Ids of jobs the main thread asked to cancel
+ * @type {Set<number>}
+ */
+const cancelledJobs = new Set()
+
+/**
+ * Chain of pending jobs, so requests are processed one at a time
+ * @type {Promise<void>}
+ */
+let jobQueue = Promise.resolve()
+
 // Set up worker message handler
 /**
  * Handles incoming messages from the main thread
+ * Cancel requests are handled immediately, between the awaits of the running job
  * @param {MessageEvent} event - The incoming message event
  */
 self.addEventListener('message', async (event) => {
-    const { type, audio } = event.data
+    const { type, job_id, audio, model_name, language, task, offset, num_speakers, vad, word_timestamps, decoding } = event.data
     if (type === MessageTypes.INFERENCE_REQUEST) {
-        await transcribe(audio)
+        jobQueue = jobQueue.then(() => runJob(job_id, () => transcribe(audio, { model_name, language, task, offset, num_speakers, vad, word_timestamps, decoding })))
+    } else if (type === MessageTypes.LOAD_MODEL) {
+        jobQueue = jobQueue.then(() => runJob(job_id, () => loadModel(model_name)))
+    } else if (type === MessageTypes.CANCEL) {
+        cancelledJobs.add(job_id)
     }
 })
 
+/**
+ * Downloads and initialises a model without transcribing anything,
+ * so it is cached for offline use
+ * @param {string} [model_name] - Name of the Whisper model to load
+ * @returns {Promise<void>}
+ */
+async function loadModel(model_name = DEFAULT_MODEL) {
+    try {
+        await MyTranscriptionPipeline.getInstance(model_name, load_model_callback)
+    } catch (err) {
+        sendErrorMessage(serializeError(err, ErrorCodes.MODEL_DOWNLOAD))
+        return
+    }
+
+    self.postMessage({ type: MessageTypes.MODEL_READY, job_id: currentJobId, model_name })
+}
+
+/**
+ * Runs a queued job unless it was cancelled while waiting
+ * @param {number} job_id - Id of the job assigned by the main thread
+ * @param {Function} job - Async function doing the work
+ * @returns {Promise<void>}
+ */
+async function runJob(job_id, job) {
+    if (cancelledJobs.delete(job_id)) { return }
+
+    currentJobId = job_id
+    try {
+        await job()
+    } finally {
+        cancelledJobs.delete(job_id)
+        currentJobId = null
+    }
+}
+
+/**
+ * Aborts the running job if the main thread cancelled it
+ * @throws {CancelledError}
+ */
+function throwIfCancelled() {
+    if (cancelledJobs.has(currentJobId)) {
+        throw new CancelledError()
+    }
+}
+
+/**
+ * Fills in missing decoding options and keeps each one within the range the pipeline supports
+ * The stride is also kept under half the chunk length, so consecutive chunks always move forward
+ * @param {Object} [decoding={}] - Decoding options sent with the request
+ * @returns {{num_beams: number, temperature: number, chunk_length_s: number, stride_length_s: number, initial_prompt: string}} The options to decode with
+ */
+function resolveDecodingOptions(decoding = {}) {
+    const resolved = {}
+    for (const [key, fallback] of Object.entries(DEFAULT_DECODING_OPTIONS)) {
+        if (!DECODING_LIMITS[key]) { continue }
+        const { min, max } = DECODING_LIMITS[key]
+        const value = Number(decoding?.[key] ?? fallback)
+        resolved[key] = Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback
+    }
+    resolved.num_beams = Math.round(resolved.num_beams)
+    resolved.stride_length_s = Math.min(resolved.stride_length_s, (resolved.chunk_length_s - 1) / 2)
+    resolved.initial_prompt = String(decoding?.initial_prompt ?? DEFAULT_DECODING_OPTIONS.initial_prompt).trim()
+    return resolved
+}
+
+/**
+ * Tokenizes the initial prompt the way Whisper reads previous text: <|startofprev|> then the prompt tokens
+ * @param {Object} tokenizer - The Whisper tokenizer of the pipeline
+ * @param {string} prompt - The initial prompt, empty for none
+ * @returns {Array<number>} The token ids, empty when there is no prompt
+ */
+function encodePrompt(tokenizer, prompt) {
+    if (!prompt) { return [] }
+
+    const ids = tokenizer.model.convert_tokens_to_ids(tokenizer._encode_text(` ${prompt}`))
+    return [tokenizer.model.tokens_to_ids.get('<|startofprev|>'), ...ids.slice(-MAX_PROMPT_TOKENS)]
+}
+
+/**
+ * Runs the pipeline with the prompt tokens decoded ahead of <|startoftranscript|>
+ * transformers.js 2.4.2 has no prompt option, so for the duration of the run decoding starts
+ * from <|startofprev|> and the forced ids the pipeline builds are moved past the prompt, with the
+ * prompt tokens and <|startoftranscript|> forced before them. The decoder takes one token per
+ * step, which is why the prompt is forced rather than passed as a longer start sequence
+ * @param {Pipeline} pipeline - The transcription pipeline instance
+ * @param {Array<number>} promptIds - Prompt token ids from encodePrompt, empty for none
+ * @param {Function} run - Async function calling the pipeline
+ * @returns {Promise<*>} What run resolves to
+ */
+async function withPrompt(pipeline, promptIds, run) {
+    if (promptIds.length === 0) { return run() }
+
+    const { model, tokenizer } = pipeline
+    const startTokenId = model.config.decoder_start_token_id
+    const getDecoderPromptIds = tokenizer.get_decoder_prompt_ids
+
+    // Without language or task tokens to force, the model's own forced ids are the ones to move
+    tokenizer.get_decoder_prompt_ids = (options) => {
+        const forced = getDecoderPromptIds.call(tokenizer, options)
+        const rest = forced.length > 0 ? forced : model.generation_config?.forced_decoder_ids ?? []
+        return [
+            ...promptIds.slice(1).map((id, i) => [i + 1, id]),
+            [promptIds.length, startTokenId],
+            ...rest.map(([position, id]) => [position + promptIds.length, id])
+        ]
+    }
+    model.config.decoder_start_token_id = promptIds[0]
+
+    try {
+        return await run()
+    } finally {
+        model.config.decoder_start_token_id = startTokenId
+        delete tokenizer.get_decoder_prompt_ids
+    }
+}
+
 /**
  * Main transcription function that processes audio input
- * @param {Float32Array} audio - The audio data to transcribe
+ * When several channels are sent, each one is transcribed in turn and its segments are
+ * tagged with the channel index and a speaker id (channel 0 is speaker A, channel 1 speaker B...)
+ * and merged with the others in time order. Mono audio can instead be split into speakers
+ * by clustering the voice of each segment once transcription is done.
+ * With voice activity detection on, only the speech regions of each channel are sent to
+ * Whisper and the timestamps are mapped back onto the original recording.
+ * Word timings come from the model's cross-attention alignment heads; checkpoints without
+ * them fall back to segment timestamps only. An initial prompt is decoded before each chunk
+ * to prime the spelling of names and jargon, and left out of the segments
+ * @param {Float32Array|Array<Float32Array>} audio - The audio data to transcribe, mono or one array per channel
+ * @param {Object} request - Settings sent with the inference request
+ * @param {string} [request.model_name] - Name of the Whisper model to transcribe with
+ * @param {string|null} [request.language] - Spoken language, or null to let the model detect it
+ * @param {string} [request.task] - Either 'transcribe' or 'translate' (to English)
+ * @param {number} [request.offset] - Position of the audio in a longer recording, in seconds, added to every timestamp
+ * @param {number|null} [request.num_speakers] - Number of speakers to tell apart in mono audio, 0 to detect it, null to skip
+ * @param {boolean} [request.vad] - Whether to skip silence before inference
+ * @param {boolean} [request.word_timestamps] - Whether to add the timing of each word to the segments
+ * @param {Object} [request.decoding] - Beam count, temperature, chunk and stride length and initial prompt, see DEFAULT_DECODING_OPTIONS
  * @returns {Promise<void>}
  */
-async function transcribe(audio) {
+async function transcribe(audio, { model_name = DEFAULT_MODEL, language = null, task = WhisperTasks.TRANSCRIBE, offset = 0, num_speakers = null, vad = false, word_timestamps = false, decoding = {} }) {
     sendLoadingMessage('loading')
 
     let pipeline
 
     try {
-        pipeline = await MyTranscriptionPipeline.getInstance(load_model_callback)
+        pipeline = await MyTranscriptionPipeline.getInstance(model_name, load_model_callback)
+        throwIfCancelled()
     } catch (err) {
-        console.log(err.message)
+        if (!(err instanceof CancelledError)) {
+            sendErrorMessage(serializeError(err, ErrorCodes.MODEL_DOWNLOAD))
+        }
+        return
     }
 
     sendLoadingMessage('success')
 
-    const stride_length_s = 5
-
-    const generationTracker = new GenerationTracker(pipeline, stride_length_s)
-    await pipeline(audio, {
-        top_k: 0,
-        do_sample: false,
-        chunk_length: 30,
-        stride_length_s,
-        return_timestamps: true,
-        callback_function: generationTracker.callbackFunction.bind(generationTracker),
-        chunk_callback: generationTracker.chunkCallback.bind(generationTracker)
-    })
-    generationTracker.sendFinalResult()
+    const options = resolveDecodingOptions(decoding)
+    const { num_beams, temperature, chunk_length_s, stride_length_s, initial_prompt } = options
+    const promptIds = encodePrompt(pipeline.tokenizer, initial_prompt)
+
+    // English-only checkpoints have no language or task tokens to force
+    const multilingual = MODEL_DETAILS[model_name]?.multilingual ?? false
+
+    const wordLevel = word_timestamps && Boolean(pipeline.model.generation_config?.alignment_heads)
+    if (word_timestamps && !wordLevel) {
+        sendWarningMessage({
+            code: ErrorCodes.WORD_TIMESTAMPS,
+            message: `${model_name} has no alignment heads`
+        })
+    }
+
+    const channels = Array.isArray(audio) ? audio : [audio]
+    let generationTracker = null
+
+    for (let channel = 0; channel < channels.length; channel++) {
+        const speech = vad ? compactSpeech(channels[channel], detectSpeech(channels[channel], WHISPER_SAMPLING_RATE), WHISPER_SAMPLING_RATE) : null
+
+        generationTracker = new GenerationTracker(
+            pipeline,
+            stride_length_s,
+            generationTracker?.language ?? (multilingual ? language : 'english'),
+            offset,
+            channels.length > 1 ? channel : null,
+            generationTracker?.getResults() ?? [],
+            speech?.timeMap ?? null,
+            wordLevel,
+            promptIds.length
+        )
+
+        // A channel with no speech at all is not worth a pass, and Whisper tends to invent text for silence
+        if (speech && speech.audio.length === 0) {
+            createResultMessage(generationTracker.getResults(), false, generationTracker.getLastChunkTimestamp(), generationTracker.language)
+            continue
+        }
+
+        try {
+            await withPrompt(pipeline, promptIds, () => pipeline(speech?.audio ?? channels[channel], {
+                num_beams,
+                temperature,
+                // A temperature of 0 means greedy (or beam) search, anything above samples from the full vocabulary
+                do_sample: temperature > 0,
+                top_k: 0,
+                chunk_length_s,
+                stride_length_s,
+                return_timestamps: wordLevel ? 'word' : true,
+                ...(multilingual && { language, task }),
+                callback_function: generationTracker.callbackFunction.bind(generationTracker),
+                chunk_callback: generationTracker.chunkCallback.bind(generationTracker)
+            }))
+        } catch (err) {
+            if (!(err instanceof CancelledError)) {
+                sendErrorMessage(serializeError(err, ErrorCodes.TRANSCRIPTION))
+            }
+            return
+        }
+    }
+
+    if (channels.length === 1 && num_speakers !== null) {
+        try {
+            const results = diarizeSegments(channels[0], generationTracker.getResults(), {
+                samplingRate: WHISPER_SAMPLING_RATE,
+                numSpeakers: num_speakers,
+                offset
+            })
+            createResultMessage(results, true, generationTracker.getLastChunkTimestamp(), generationTracker.language)
+        } catch (err) {
+            // Speaker labels are a best-effort extra, the transcript is still complete without them
+            sendWarningMessage(serializeError(err, ErrorCodes.DIARIZATION))
+        }
+    }
+    generationTracker.sendFinalResult({ ...options, vad, word_timestamps: wordLevel, num_speakers })
 }
 
 /**
  * Callback function for tracking model loading progress
  * @param {Object} data - Progress data from the pipeline
  * @param {string} data.status - Current status of the loading process
+ * @param {string} [data.name] - Model the file belongs to
  * @param {string} [data.file] - File being downloaded
  * @param {number} [data.progress] - Download progress percentage
  * @param {number} [data.loaded] - Bytes loaded
@@ -94,9 +334,9 @@ async function transcribe(audio) {
  */
 async function load_model_callback(data) {
     const { status } = data
-    if (status === 'progress') {
-        const { file, progress, loaded, total } = data
-        sendDownloadingMessage(file, progress, loaded, total)
+    if (['initiate', 'progress', 'done'].includes(status)) {
+        const { name, file, progress, loaded, total } = data
+        sendDownloadingMessage(status, name, file, progress, loaded, total)
     }
 }
 
@@ -107,20 +347,50 @@ async function load_model_callback(data) {
 function sendLoadingMessage(status) {
     self.postMessage({
         type: MessageTypes.LOADING,
+        job_id: currentJobId,
         status
     })
 }
 
+/**
+ * Sends a structured error message to the main thread
+ * @param {{code: string, message: string}} error - The serialized error
+ */
+function sendErrorMessage(error) {
+    self.postMessage({
+        type: MessageTypes.ERROR,
+        job_id: currentJobId,
+        error
+    })
+}
+
+/**
+ * Sends a structured warning to the main thread about a step that failed without stopping the job
+ * @param {{code: string, message: string}} warning - The serialized error
+ */
+function sendWarningMessage(warning) {
+    self.postMessage({
+        type: MessageTypes.WARNING,
+        job_id: currentJobId,
+        warning
+    })
+}
+
 /**
  * Sends a downloading progress message to the main thread
+ * @param {string} status - One of 'initiate', 'progress' or 'done'
+ * @param {string} name - The model the file belongs to
  * @param {string} file - The file being downloaded
  * @param {number} progress - Download progress percentage
  * @param {number} loaded - Bytes loaded
  * @param {number} total - Total bytes to download
  */
-async function sendDownloadingMessage(file, progress, loaded, total) {
+async function sendDownloadingMessage(status, name, file, progress, loaded, total) {
     self.postMessage({
         type: MessageTypes.DOWNLOADING,
+        job_id: currentJobId,
+        status,
+        name,
         file,
         progress,
         loaded,
@@ -136,8 +406,15 @@ class GenerationTracker {
     /**
      * @param {Pipeline} pipeline - The transcription pipeline instance
      * @param {number} stride_length_s - The stride length in seconds
+     * @param {string|null} language - The forced spoken language, or null when it is auto-detected
+     * @param {number} [offset=0] - Time in seconds added to every timestamp, for windows of a live recording
+     * @param {number|null} [channel=null] - Index of the channel being transcribed, when channels are transcribed separately
+     * @param {Array<Object>} [previous=[]] - Finished segments of the channels transcribed before this one
+     * @param {Array<Object>|null} [timeMap=null] - Where each speech region came from, when silence was cut out of the audio
+     * @param {boolean} [wordTimestamps=false] - Whether the pipeline returns token timings to group into words
+     * @param {number} [promptLength=0] - Number of initial prompt tokens each decoded chunk starts with
      */
-    constructor(pipeline, stride_length_s) {
+    constructor(pipeline, stride_length_s, language, offset = 0, channel = null, previous = [], timeMap = null, wordTimestamps = false, promptLength = 0) {
         /**
          * The transcription pipeline instance
          * @type {Pipeline}
@@ -150,6 +427,48 @@ class GenerationTracker {
          */
         this.stride_length_s = stride_length_s
 
+        /**
+         * The spoken language, as forced by the request or detected by the model
+         * @type {string|null}
+         */
+        this.language = language
+
+        /**
+         * Time in seconds added to every timestamp
+         * @type {number}
+         */
+        this.offset = offset
+
+        /**
+         * Index of the channel being transcribed, or null for mono audio
+         * @type {number|null}
+         */
+        this.channel = channel
+
+        /**
+         * Segments of the channels transcribed before this one
+         * @type {Array}
+         */
+        this.previous = previous
+
+        /**
+         * Map from the compacted speech audio back to the original recording, or null when nothing was cut
+         * @type {Array<Object>|null}
+         */
+        this.timeMap = timeMap
+
+        /**
+         * Whether each segment gets the timing of its words
+         * @type {boolean}
+         */
+        this.wordTimestamps = wordTimestamps
+
+        /**
+         * Number of initial prompt tokens to drop from the start of every decoded chunk
+         * @type {number}
+         */
+        this.promptLength = promptLength
+
         /**
          * Array of chunked audio data
          * @type {Array}
@@ -177,9 +496,10 @@ class GenerationTracker {
 
     /**
      * Sends the final transcription result to the main thread
+     * @param {Object} settings - The options the audio was transcribed with, so they can be stored with the output
      */
-    sendFinalResult() {
-        self.postMessage({ type: MessageTypes.INFERENCE_DONE })
+    sendFinalResult(settings) {
+        self.postMessage({ type: MessageTypes.INFERENCE_DONE, job_id: currentJobId, settings })
     }
 
     /**
@@ -187,13 +507,15 @@ class GenerationTracker {
      * @param {Array} beams - Array of beam search results
      */
     callbackFunction(beams) {
+        throwIfCancelled()
+
         this.callbackFunctionCounter += 1
         if (this.callbackFunctionCounter % 10 !== 0) {
             return
         }
 
         const bestBeam = beams[0]
-        let text = this.pipeline.tokenizer.decode(bestBeam.output_token_ids, {
+        let text = this.pipeline.tokenizer.decode(bestBeam.output_token_ids.slice(this.promptLength), {
             skip_special_tokens: true
         })
 
@@ -211,50 +533,103 @@ class GenerationTracker {
      * @param {Object} data - Chunk data from the pipeline
      */
     chunkCallback(data) {
+        throwIfCancelled()
+
+        // The prompt only primes the decoder, it was never said in this chunk
+        if (this.promptLength > 0) {
+            data.tokens = data.tokens.slice(this.promptLength)
+            if (data.token_timestamps) {
+                data.token_timestamps = data.token_timestamps.slice(this.promptLength)
+            }
+        }
+
         this.chunks.push(data)
         const [text, { chunks }] = this.pipeline.tokenizer._decode_asr(
             this.chunks,
             {
                 time_precision: this.time_precision,
                 return_timestamps: true,
-                force_full_sequence: false
+                return_language: true,
+                force_full_sequences: false
             }
         )
 
+        this.language = chunks.find(chunk => chunk.language)?.language ?? this.language
+
+        // Word-level decoding flattens the output to words, so it runs alongside the segment decoding
+        const words = this.wordTimestamps ? this.pipeline.tokenizer._decode_asr(
+            this.chunks,
+            {
+                time_precision: this.time_precision,
+                return_timestamps: 'word',
+                force_full_sequences: false
+            }
+        )[1].chunks : null
+
         this.processed_chunks = chunks.map((chunk, index) => {
-            return this.processChunk(chunk, index)
+            return this.processChunk(chunk, index, words)
         })
 
         createResultMessage(
-            this.processed_chunks, false, this.getLastChunkTimestamp()
+            this.getResults(), false, this.getLastChunkTimestamp(), this.language
         )
     }
 
+    /**
+     * All segments so far, including those of earlier channels, in time order
+     * @returns {Array<Object>} The segments, indexed by position
+     */
+    getResults() {
+        if (this.previous.length === 0) {
+            return this.processed_chunks
+        }
+        return [...this.previous, ...this.processed_chunks]
+            .sort((a, b) => a.start - b.start)
+            .map((chunk, index) => ({ ...chunk, index }))
+    }
+
     /**
      * Gets the timestamp of the last chunk
      * @returns {number} The timestamp of the last chunk
      */
     getLastChunkTimestamp() {
         if (this.processed_chunks.length === 0) {
-            return 0
+            return this.offset
         }
+        return this.processed_chunks[this.processed_chunks.length - 1].end
     }
 
     /**
      * Processes a single chunk of audio data
      * @param {Object} chunk - The chunk data to process
      * @param {number} index - The index of the chunk
+     * @param {Array<{text: string, timestamp: Array<number|null>}>|null} [words=null] - Every decoded word, when word timestamps are on
      * @returns {Object} The processed chunk data
      */
-    processChunk(chunk, index) {
+    processChunk(chunk, index, words = null) {
         const { text, timestamp } = chunk
-        const [start, end] = timestamp
+        const [start, rawEnd] = timestamp
+        const end = rawEnd ?? start + 0.9 * this.stride_length_s
+
+        // Keep centisecond precision so subtitle exports line up with the audio
+        const round = (value) => Math.round(value * 100) / 100
+        const original = (value) => this.timeMap ? toOriginalTime(this.timeMap, value) : value
 
         return {
             index,
             text: `${text.trim()}`,
-            start: Math.round(start),
-            end: Math.round(end) || Math.round(start + 0.9 * this.stride_length_s)
+            start: round(this.offset + original(start)),
+            end: round(this.offset + original(end)),
+            ...(words && {
+                words: words
+                    .filter(word => word.timestamp[0] >= start && word.timestamp[0] < end)
+                    .map(word => ({
+                        text: word.text.trim(),
+                        start: round(this.offset + original(word.timestamp[0])),
+                        end: round(this.offset + original(word.timestamp[1] ?? end))
+                    }))
+            }),
+            ...(this.channel !== null && { channel: this.channel, speaker: getSpeakerId(this.channel) })
         }
     }
 }
@@ -264,14 +639,17 @@ class GenerationTracker {
  * @param {Array} results - Array of transcription results
  * @param {boolean} isDone - Whether transcription is complete
  * @param {number} completedUntilTimestamp - Timestamp of last completed chunk
+ * @param {string|null} language - Spoken language of the audio, if known
  * @returns {Object} Message object with results
  */
-function createResultMessage(results, isDone, completedUntilTimestamp) {
+function createResultMessage(results, isDone, completedUntilTimestamp, language) {
     self.postMessage({
         type: MessageTypes.RESULT,
+        job_id: currentJobId,
         results,
         isDone,
-        completedUntilTimestamp
+        completedUntilTimestamp,
+        language
     })
 }
 
@@ -283,6 +661,7 @@ function createResultMessage(results, isDone, completedUntilTimestamp) {
 function createPartialResultMessage(result) {
     self.postMessage({
         type: MessageTypes.RESULT_PARTIAL,
+        job_id: currentJobId,
         result
     })
 }
@@ -0,0 +1,114 @@
+/**
+ * CRC-32 lookup table (IEEE polynomial), computed on first use
+ * @type {Uint32Array|null}
+ */
+let crcTable = null
+
+/**
+ * Computes the CRC-32 checksum of some bytes, as required by the zip format
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256)
+        for (let n = 0; n < 256; n++) {
+            let c = n
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+            }
+            crcTable[n] = c >>> 0
+        }
+    }
+
+    let crc = 0xFFFFFFFF
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * Makes file names unique inside an archive by numbering duplicates
+ * e.g. a second `memo.srt` becomes `memo (2).srt`
+ * @param {Array<string>} names - File names in order
+ * @returns {Array<string>} Unique file names
+ */
+export function uniqueFileNames(names) {
+    const used = new Set()
+    return names.map(name => {
+        let candidate = name
+        let count = 1
+        while (used.has(candidate)) {
+            count += 1
+            const dot = name.lastIndexOf('.')
+            candidate = dot > 0 ? `${name.slice(0, dot)} (${count})${name.slice(dot)}` : `${name} (${count})`
+        }
+        used.add(candidate)
+        return candidate
+    })
+}
+
+/**
+ * Bundles files into an uncompressed (stored) zip archive
+ * Text exports are small, so skipping compression keeps this dependency-free
+ * @param {Array<{name: string, content: string|Uint8Array}>} files - Files to add; strings are encoded as UTF-8
+ * @param {Date} [date=new Date()] - Modification time recorded for every file
+ * @returns {Blob} The zip archive
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder()
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+
+    const parts = []
+    const central = []
+    let offset = 0
+
+    for (const file of files) {
+        const name = encoder.encode(file.name)
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content
+        const crc = crc32(data)
+
+        const local = new DataView(new ArrayBuffer(30))
+        local.setUint32(0, 0x04034B50, true)
+        local.setUint16(4, 20, true)
+        local.setUint16(6, 0x0800, true) // UTF-8 file names
+        local.setUint16(8, 0, true) // stored
+        local.setUint16(10, dosTime, true)
+        local.setUint16(12, dosDate, true)
+        local.setUint32(14, crc, true)
+        local.setUint32(18, data.length, true)
+        local.setUint32(22, data.length, true)
+        local.setUint16(26, name.length, true)
+        local.setUint16(28, 0, true)
+        parts.push(local, name, data)
+
+        const header = new DataView(new ArrayBuffer(46))
+        header.setUint32(0, 0x02014B50, true)
+        header.setUint16(4, 20, true)
+        header.setUint16(6, 20, true)
+        header.setUint16(8, 0x0800, true)
+        header.setUint16(10, 0, true)
+        header.setUint16(12, dosTime, true)
+        header.setUint16(14, dosDate, true)
+        header.setUint32(16, crc, true)
+        header.setUint32(20, data.length, true)
+        header.setUint32(24, data.length, true)
+        header.setUint16(28, name.length, true)
+        header.setUint32(42, offset, true)
+        central.push(header, name)
+
+        offset += 30 + name.length + data.length
+    }
+
+    const centralSize = central.reduce((total, part) => total + part.byteLength, 0)
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, 0x06054B50, true)
+    end.setUint16(8, files.length, true)
+    end.setUint16(10, files.length, true)
+    end.setUint32(12, centralSize, true)
+    end.setUint32(16, offset, true)
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' })
+}
@@ -1,7 +1,32 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Files served from public/ that the service worker should cache along with the build
+const PUBLIC_ASSETS = ['/manifest.webmanifest', '/icon.svg']
+
+/**
+ * Writes precache-manifest.json, the list of built files the service worker
+ * caches on install so the app shell loads offline
+ */
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const assets = Object.keys(bundle)
+        .filter(fileName => !fileName.endsWith('.map'))
+        .map(fileName => `/${fileName}`)
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify([...assets, ...PUBLIC_ASSETS], null, 2)
+      })
+    }
+  }
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
 })